@@ -6,4 +6,21 @@ require('eslint-config-etherpad/patch/modern-module-resolution');
 module.exports = {
   root: true,
   extends: 'etherpad/plugin',
+  rules: {
+    // ep_etherpad-lite as in etherpad/plugin. ep_markdown is optional and express-rate-limit is
+    // Etherpad's, see export.js.
+    'n/no-missing-require': ['error', {
+      allowModules: ['ep_etherpad-lite', 'ep_markdown', 'express-rate-limit'],
+    }],
+  },
+  overrides: [
+    {
+      // The oEmbed responses stubbed there are written like the JSON they stand for, with their
+      // keys in quotes.
+      files: ['static/tests/backend/specs/oembed.js'],
+      rules: {
+        'quote-props': ['error', 'consistent'],
+      },
+    },
+  ],
 };
@@ -0,0 +1,285 @@
+'use strict';
+
+// HTTP API to the embeds of a pad, for scripts: Etherpad's own API only sets text. The routes are
+// registered in hooks.js and take the same credentials as Etherpad's API (its API key, or a token
+// when Etherpad is set up for single sign-on), which are checked by Etherpad itself.
+//
+// Embeds are addressed by their index, their position among the pad's embeds as list() returns
+// them. Changes are made through changesets, like edits in the pad, and sent to the pad's users.
+
+const AttributeMap = require('ep_etherpad-lite/static/js/AttributeMap');
+const Changeset = require('ep_etherpad-lite/static/js/Changeset');
+const apiHandler = require('ep_etherpad-lite/node/handler/APIHandler');
+const attribute = require('./static/js/attribute');
+const cards = require('./cards');
+const {httpError} = require('./errors');
+const inventory = require('./static/js/inventory');
+const oembed = require('./oembed');
+const padManager = require('ep_etherpad-lite/node/db/PadManager');
+const padMessageHandler = require('ep_etherpad-lite/node/handler/PadMessageHandler');
+const probe = require('./probe');
+const shared = require('./static/js/shared');
+const youtube = require('./static/js/youtube');
+
+// Large enough for images in data: URIs, see shared.maxDataImageLength.
+const maxBodyBytes = 256 * 1024;
+
+// Returns the fields of a request: its query, and its body if it is JSON.
+exports.readFields = async (req) => {
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!['POST', 'PUT', 'PATCH'].includes(req.method) || type !== 'application/json') {
+    return {...req.query};
+  }
+  // Already read if another plugin parses bodies.
+  if (req._body) return {...req.query, ...req.body};
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBodyBytes) throw httpError(413, 'the request is too large');
+    chunks.push(chunk);
+  }
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+  } catch (err) {
+    throw httpError(400, 'the body is not valid JSON');
+  }
+  if (body == null || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'the body should be a JSON object');
+  }
+  return {...req.query, ...body};
+};
+
+// Checks the credentials of a request by asking Etherpad's API whether they are valid.
+exports.checkAuth = async (req, fields) => {
+  try {
+    // The key may be in the query or the body, as apikey or api_key, or in a header.
+    await apiHandler.handle(apiHandler.latestApiVersion, 'checkToken', fields, req);
+  } catch (err) {
+    const status = err.status || err.statusCode;
+    if (status === 401 || /api ?key|token/i.test(err.message)) {
+      throw httpError(401, 'no or wrong API key');
+    }
+    throw err;
+  }
+};
+
+const getPad = async (padId) => {
+  if (typeof padId !== 'string' || !padManager.isValidPadId(padId)) {
+    throw httpError(400, 'invalid pad id');
+  }
+  if (!await padManager.doesPadExist(padId)) throw httpError(404, 'no such pad');
+  return await padManager.getPad(padId);
+};
+
+// Returns {offset, line, column, value} of every embed character of a pad, in order.
+const findEmbeds = (pad) => {
+  const embeds = [];
+  let offset = 0;
+  let line = 0;
+  let lineStart = 0;
+  for (const op of Changeset.deserializeOps(pad.atext.attribs)) {
+    const value = AttributeMap.fromString(op.attribs, pad.pool).get('embedMedia');
+    if (value && op.lines === 0) {
+      for (let i = 0; i < op.chars; i++) {
+        embeds.push({offset: offset + i, line, column: offset + i - lineStart, value});
+      }
+    }
+    offset += op.chars;
+    // Ops spanning lines end with a newline.
+    if (op.lines > 0) {
+      line += op.lines;
+      lineStart = offset;
+    }
+  }
+  return embeds;
+};
+
+const findEmbed = (pad, index) => {
+  const embeds = findEmbeds(pad);
+  const i = Number(index);
+  if (!Number.isInteger(i) || i < 0 || i >= embeds.length) throw httpError(404, 'no such embed');
+  return embeds[i];
+};
+
+// Returns what a script needs to know about an embed.
+const describe = ({line, column, value}, index) => {
+  const {record, status} = inventory.describe(value);
+  return {
+    index,
+    line,
+    column,
+    value,
+    status,
+    provider: (record && record.provider) || null,
+    type: (record && record.type) || null,
+    url: (record && shared.embedUrl(record)) || null,
+    title: (record && shared.embedTitle(record)) || null,
+  };
+};
+
+// Options that can be given along with the link or embed code, as in the modal, and how they are
+// read. Empty ones are removed.
+const options = {
+  title: String,
+  caption: String,
+  alt: String,
+  start: (v) => {
+    const start = youtube.parseTime(v);
+    if (start == null) throw httpError(400, 'invalid start time');
+    return start;
+  },
+  size: (v) => {
+    if (!shared.sizes.includes(v)) throw httpError(400, `size should be one of ${shared.sizes}`);
+    return v;
+  },
+  align: (v) => {
+    if (!shared.alignments.includes(v)) {
+      throw httpError(400, `align should be one of ${shared.alignments}`);
+    }
+    return v;
+  },
+  poster: (v) => {
+    if (!shared.isLink(v)) throw httpError(400, 'invalid poster');
+    return v;
+  },
+  captions: (v) => {
+    if (!shared.isLink(v)) throw httpError(400, 'invalid captions');
+    return v;
+  },
+  captionsLang: (v) => {
+    if (!shared.isLanguage(v)) throw httpError(400, 'invalid captions language');
+    return v;
+  },
+  page: (v) => {
+    const page = Number(v);
+    if (!(Number.isInteger(page) && page > 0)) throw httpError(400, 'invalid page');
+    return page;
+  },
+};
+
+const lookUp = async (lookup, url) => {
+  try {
+    return await lookup(url);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Finds out what a link no provider plays is, like the modal does (see check() in modal.js).
+const resolveLink = async (record) => {
+  if (record.url == null || record.type != null) return;
+  const info = await lookUp(oembed.resolve, record.url);
+  if (info != null) {
+    const {title, thumbnail, width, height, html} = info;
+    Object.assign(record, {title, thumbnail});
+    if (width > 0 && height > 0) record.ratio = Math.round(width / height * 1000) / 1000;
+    if (record.provider == null) record.html = html;
+  } else if (record.provider == null && probe.enabled()) {
+    const file = await lookUp(probe.probe, record.url);
+    if (file != null) record.type = file.type;
+  }
+  if (record.provider == null && record.type == null && !record.html && cards.enabled()) {
+    const card = await lookUp(cards.resolve, record.url);
+    if (card != null) {
+      const {title, description, site, image} = card;
+      Object.assign(record, {type: 'link', title, description, site, thumbnail: image});
+    }
+  }
+};
+
+// Returns the attribute value for the fields of a request, for a new embed or, given its record,
+// an embed being changed.
+const buildValue = async (fields, previous = null) => {
+  let record = previous;
+  if (fields.code != null) {
+    const {record: fromCode, error} = shared.checkCode(String(fields.code));
+    if (error != null) throw httpError(400, `invalid code: ${error}`);
+    record = fromCode;
+    await resolveLink(record);
+    for (const name of shared.keptOptions) {
+      if (previous && previous[name] != null) record[name] = previous[name];
+    }
+  }
+  if (record == null) throw httpError(400, 'code is required');
+  // A size preset replaces the size the embed was resized to.
+  if (fields.size != null && fields.size !== '') {
+    delete record.width;
+    delete record.height;
+  }
+  for (const [name, read] of Object.entries(options)) {
+    if (!(name in fields)) continue;
+    if (fields[name] == null || fields[name] === '') delete record[name];
+    else record[name] = read(fields[name]);
+  }
+  if (record.type === 'image' && !record.alt) throw httpError(400, 'images need an alt text');
+  if (!record.title && record.type !== 'image') record.title = shared.embedTitle(record);
+  const {error} = shared.checkRecord(record);
+  if (error != null) throw httpError(error === 'blocked' ? 403 : 400, `invalid code: ${error}`);
+  const value = shared.cleanValue(attribute.stringify(record));
+  if (value == null) throw httpError(400, 'nothing in this code can be embedded');
+  return value;
+};
+
+const applyChange = async (pad, changeset, authorId) => {
+  await pad.appendRevision(changeset, typeof authorId === 'string' ? authorId : '');
+  await padMessageHandler.updatePadClients(pad);
+};
+
+// Returns the embeds of a pad.
+exports.list = async (padId) => {
+  const pad = await getPad(padId);
+  return findEmbeds(pad).map(describe);
+};
+
+// Inserts an embed on a line of its own, before the line with the given number (counting from
+// 0), or after the last one. Fields are code, the link or embed code, the options above and
+// authorId, the author the change is made as. Returns the embed.
+exports.insert = async (padId, fields) => {
+  const value = await buildValue(fields);
+  const pad = await getPad(padId);
+  const text = pad.text();
+  const lines = text.split('\n').slice(0, -1);
+  const line = fields.line == null ? lines.length : Number(fields.line);
+  if (!Number.isInteger(line) || line < 0 || line > lines.length) {
+    throw httpError(400, `line should be a number from 0 to ${lines.length}`);
+  }
+  const lineStart = lines.slice(0, line).reduce((offset, l) => offset + l.length + 1, 0);
+  // The pad's text always ends with a newline, embeds after the last line go before it.
+  const [offset, inserted] =
+      line < lines.length ? [lineStart, 'E\n'] : [text.length - 1, '\nE'];
+  const builder = Changeset.builder(text.length);
+  builder.keepText(text.slice(0, offset));
+  for (const c of inserted) {
+    builder.insert(c, c === 'E' ? [['embedMedia', value]] : [], pad.pool);
+  }
+  const changeset = builder.toString();
+  await applyChange(pad, changeset, fields.authorId);
+  const embeds = findEmbeds(pad);
+  const index = embeds.findIndex((embed) => embed.line === line && embed.column === 0);
+  return describe(embeds[index], index);
+};
+
+// Changes the link or code and the options of an embed. Options left out are kept, empty ones
+// are removed. Returns the embed.
+exports.update = async (padId, index, fields) => {
+  const pad = await getPad(padId);
+  const {value: previous} = findEmbed(pad, index);
+  const value = await buildValue(fields, shared.parseValue(previous));
+  // The pad may have changed while the link was looked up.
+  const embed = findEmbed(pad, index);
+  if (embed.value !== previous) throw httpError(409, 'the embed changed meanwhile');
+  await applyChange(pad, Changeset.makeSplice(
+      pad.text(), embed.offset, 1, 'E', [['embedMedia', value]], pad.pool), fields.authorId);
+  return describe(findEmbed(pad, index), Number(index));
+};
+
+// Removes an embed, or replaces it by its link if link is true.
+exports.remove = async (padId, index, fields) => {
+  const pad = await getPad(padId);
+  const embed = findEmbed(pad, index);
+  const link = fields.link === true || fields.link === 'true' ? shared.valueUrl(embed.value) : null;
+  await applyChange(pad, Changeset.makeSplice(
+      pad.text(), embed.offset, 1, link || ''), fields.authorId);
+};
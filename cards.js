@@ -0,0 +1,134 @@
+'use strict';
+
+// Preview cards for links to web pages nothing else knows how to embed, e.g. articles and
+// documents: the title, description, site name and image the page declares for sharing
+// (https://ogp.me/ and Twitter cards), fetched by the server for the client, see the
+// /ep_embedmedia/card route in hooks.js. The card is stored with the embed, so readers don't fetch
+// anything but its image, which the server fetches for them too (the /ep_embedmedia/card/image
+// route). It is off by default, as it makes the server contact the addresses a pad's author types:
+// allowedHosts limits which sites may be fetched and, as for probe.js, addresses in private
+// networks are refused.
+
+const html = require('./static/js/html-sanitizer');
+const {httpError} = require('./errors');
+const oembed = require('./oembed');
+const policy = require('./static/js/policy');
+const probe = require('./probe');
+const settings = require('ep_etherpad-lite/node/utils/Settings');
+const shared = require('./static/js/shared');
+
+const defaults = {
+  enabled: false,
+  allowedHosts: [], // every host if empty, same patterns as the embed policy's
+  timeout: 5000, // milliseconds
+  maxBytes: 512 * 1024,
+  imageMaxBytes: 1024 * 1024,
+  cacheTtl: 60 * 60, // seconds
+  cacheSize: 500,
+  allowPrivateAddresses: false,
+};
+
+const getConfig = () => ({...defaults, ...((settings.ep_embedmedia || {}).cards || {})});
+
+exports.enabled = () => !!getConfig().enabled;
+
+const cache = oembed.createCache();
+
+exports.clearCache = () => cache.clear();
+
+// Longer texts are cut, cards only have room for a few lines.
+const maxLengths = {title: 200, description: 300, site: 100};
+
+// Returns the attributes of the <meta> elements of a page by their property or name, and the
+// text of its <title>. Only the page's <head> is looked at.
+const parseHead = (page) => {
+  const head = page.split(/<\/head\s*>|<body[\s>]/i)[0];
+  const meta = new Map();
+  const attribPattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  for (const [tag] of head.matchAll(/<meta\s[^>]*>/gi)) {
+    const attribs = {};
+    for (const [, name, ...values] of tag.matchAll(attribPattern)) {
+      attribs[name.toLowerCase()] = html.unescapeEntities(values.find((v) => v != null));
+    }
+    const key = (attribs.property || attribs.name || '').toLowerCase();
+    if (key && attribs.content != null && !meta.has(key)) meta.set(key, attribs.content);
+  }
+  const [, title] = /<title[^>]*>([^<]*)<\/title>/i.exec(head) || [];
+  return {meta, title: title == null ? null : html.unescapeEntities(title)};
+};
+
+const text = (value, name) => {
+  const s = (value || '').replace(/\s+/g, ' ').trim();
+  if (s === '') return null;
+  return s.length > maxLengths[name] ? `${s.slice(0, maxLengths[name] - 1)}…` : s;
+};
+
+// Returns the card of a page: {title, description, site, image}, each null if the page doesn't
+// say, image being an absolute link.
+const extract = (page, url) => {
+  const {meta, title} = parseHead(page);
+  const first = (...keys) => keys.map((key) => meta.get(key)).find((value) => value);
+  let image = first('og:image:secure_url', 'og:image', 'og:image:url', 'twitter:image',
+      'twitter:image:src');
+  try {
+    image = image ? new URL(image, url).href : null;
+  } catch (err) {
+    image = null;
+  }
+  return {
+    title: text(first('og:title', 'twitter:title') || title, 'title'),
+    description:
+        text(first('og:description', 'twitter:description', 'description'), 'description'),
+    site: text(first('og:site_name', 'application-name'), 'site'),
+    image: shared.isLink(image) ? image : null,
+  };
+};
+
+// Returns the agents to fetch a link with, see probe.agents.
+const checkUrl = (url, config) => {
+  if (policy.check(url)) throw httpError(403, 'embedding this url is blocked by policy');
+  if (config.allowPrivateAddresses) return null;
+  probe.checkHost(new URL(url).hostname);
+  return probe.agents;
+};
+
+// Returns {title, description, site, image} for a link to a web page. Errors carry the HTTP status
+// to answer with.
+exports.resolve = async (url) => {
+  const config = getConfig();
+  if (!config.enabled) throw httpError(404, 'link cards are disabled');
+  if (!shared.isLink(url)) {
+    throw httpError(400, 'a http(s) url is required');
+  }
+  const host = new URL(url).hostname.toLowerCase();
+  const allowedHosts = [].concat(config.allowedHosts || []).map((h) => String(h).toLowerCase());
+  if (allowedHosts.length > 0 &&
+      !allowedHosts.some((pattern) => policy.matchesHost(host, pattern))) {
+    throw httpError(403, 'link cards are not allowed for this host');
+  }
+  const cached = cache.get(url);
+  if (cached != null) return cached;
+  const agents = checkUrl(url, config);
+  const {type, body} = await oembed.fetchLimited(
+      url, {...config, agents, accept: 'text/html, application/xhtml+xml'}, 'page');
+  const mimeType = type.split(';')[0].trim().toLowerCase();
+  if (!['text/html', 'application/xhtml+xml'].includes(mimeType)) {
+    throw httpError(404, 'not a web page');
+  }
+  const card = extract(body.toString('utf8'), url);
+  if (card.title == null && card.description == null) {
+    throw httpError(404, 'the page has nothing to preview');
+  }
+  cache.set(url, card, config);
+  return card;
+};
+
+// Returns {type, body} of the image of the card of a link. Errors carry the HTTP status to answer
+// with.
+exports.image = async (url) => {
+  const {image} = await exports.resolve(url);
+  if (image == null) throw httpError(404, 'no image is known for this url');
+  const config = getConfig();
+  const agents = checkUrl(image, config);
+  return await oembed.fetchImage(image, {...config, agents, maxBytes: config.imageMaxBytes});
+};
@@ -0,0 +1,5 @@
+'use strict';
+
+// Errors carry the HTTP status they are answered with, see route() in hooks.js. Errors without
+// one are the server's fault and answered with 500.
+exports.httpError = (status, message) => Object.assign(new Error(message), {status});
@@ -0,0 +1,177 @@
+'use strict';
+
+const AttributeMap = require('ep_etherpad-lite/static/js/AttributeMap');
+const Changeset = require('ep_etherpad-lite/static/js/Changeset');
+const exportTxt = require('ep_etherpad-lite/node/utils/ExportTxt');
+const hasPadAccess = require('ep_etherpad-lite/node/padaccess');
+const hooks = require('ep_etherpad-lite/static/js/pluginfw/hooks');
+const padManager = require('ep_etherpad-lite/node/db/PadManager');
+const path = require('path');
+const readOnlyManager = require('ep_etherpad-lite/node/db/ReadOnlyManager');
+const settings = require('ep_etherpad-lite/node/utils/Settings');
+const shared = require('./static/js/shared');
+const timestamps = require('./static/js/timestamps');
+
+// The Markdown export comes from ep_markdown, if it is installed.
+const exportMarkdownPath = (() => {
+  try {
+    return require.resolve('ep_markdown/exportMarkdown');
+  } catch (err) {
+    return null;
+  }
+})();
+
+// Etherpad copies these values verbatim into a data attribute, so anything that could break out
+// of it is left as the plain placeholder character instead.
+const isExportableValue = (value) => value !== '' && !/["'<>&]/.test(value);
+
+const embedHtml = (value) => {
+  const record = shared.parseValue(value);
+  if (record == null) return '';
+  // Link cards are exported as the link they are, their images are only served to pads.
+  const card = record.type === 'link';
+  const player = card || shared.checkPolicy(record) ? null : shared.renderEmbed(record);
+  // Images are their own content, there is nothing to link to.
+  const url = record.type === 'image' ? null : shared.embedUrl(record);
+  const text = (card && record.title) || url;
+  const link = url ? `<a href="${shared.escapeHtml(url)}">${shared.escapeHtml(text)}</a>` : '';
+  if (!player && !link) return '';
+  // Office converters drop the iframe but keep the link, so documents still point at the media.
+  const {frame} = shared.frameStyles(record);
+  const parts = [player, record.caption && `<em>${shared.escapeHtml(record.caption)}</em>`, link];
+  return `<span class="embedMedia" data-embedmedia="${value}"${frame ? ` style="${frame}"` : ''}>` +
+      `${parts.filter((part) => part).join('<br>')}</span>`;
+};
+
+// Replaces every embed character in an AText with the text returned by render(value).
+const replaceEmbeds = (atext, pool, render) => {
+  const builder = Changeset.builder(atext.text.length);
+  for (const op of Changeset.deserializeOps(atext.attribs)) {
+    const value = AttributeMap.fromString(op.attribs, pool).get('embedMedia');
+    if (!value || op.lines > 0) {
+      builder.keep(op.chars, op.lines);
+      continue;
+    }
+    for (let i = 0; i < op.chars; i++) {
+      builder.remove(1, 0);
+      builder.insert(render(value));
+    }
+  }
+  return Changeset.applyToAText(builder.toString(), atext, pool);
+};
+
+// Replaces the text of every timestamp (see static/js/timestamps.js) in an AText with the text
+// returned by render(text, value). Timestamps split by other attributes, e.g. bold, are one.
+const replaceTimestamps = (atext, pool, render) => {
+  const builder = Changeset.builder(atext.text.length);
+  let pos = 0;
+  let run = null;
+  const flush = () => {
+    if (run == null) return;
+    builder.remove(run.chars, 0);
+    builder.insert(render(atext.text.substr(run.start, run.chars), run.value));
+    run = null;
+  };
+  for (const op of Changeset.deserializeOps(atext.attribs)) {
+    const value = AttributeMap.fromString(op.attribs, pool).get('embedMediaTime');
+    if (value && op.lines === 0 && timestamps.parse(value) != null) {
+      if (run != null && run.value !== value) flush();
+      if (run == null) run = {start: pos, chars: 0, value};
+      run.chars += op.chars;
+    } else {
+      flush();
+      builder.keep(op.chars, op.lines);
+    }
+    pos += op.chars;
+  }
+  flush();
+  return Changeset.applyToAText(builder.toString(), atext, pool);
+};
+
+const timestampMarkdown = (text, value) => {
+  const label = text.replace(/[\\[\]]/g, '\\$&');
+  const destination = timestamps.deepLink(timestamps.parse(value))
+      .replace(/[\s()<>]/g, (c) => `%${c.charCodeAt(0).toString(16)}`);
+  return `[${label}](${destination})`;
+};
+
+const getPadAText = async (padId, rev) => {
+  const pad = await padManager.getPad(padId);
+  const atext = rev == null ? pad.atext : await pad.getInternalRevisionAText(Number(rev));
+  return {pad, atext};
+};
+
+const getPadTXT = async (padId, rev) => {
+  const {pad, atext} = await getPadAText(padId, rev);
+  const atextWithLinks = replaceEmbeds(atext, pad.pool, (value) => shared.valueUrl(value) || '');
+  return await exportTxt.getTXTFromAtext(pad, atextWithLinks);
+};
+
+// ep_markdown renders a pad's current text. It is given a copy of the pad whose text has the
+// embeds written out in Markdown instead.
+const getPadMarkdown = async (padId, rev) => {
+  const exportMarkdown = require(exportMarkdownPath);
+  const {pad, atext} = await getPadAText(padId, rev);
+  const atextWithMarkdown = replaceTimestamps(
+      replaceEmbeds(atext, pad.pool, (value) => shared.valueMarkdown(value) || ''),
+      pad.pool, timestampMarkdown);
+  const padWithMarkdown = Object.create(pad, {atext: {value: atextWithMarkdown}});
+  return await exportMarkdown.getPadMarkdown(padWithMarkdown);
+};
+
+// Answers an export with the body getBody(padId, rev) renders, checking access and naming the file
+// the way core's export route does (see node/hooks/express/importexport.js in Etherpad).
+const serveExport = (app, type, extension, getBody, limiter) => {
+  app.get(`/p/:pad/:rev?/export/${type}`, limiter, (req, res, next) => {
+    (async () => {
+      res.header('Access-Control-Allow-Origin', '*');
+      if (!await hasPadAccess(req, res)) return;
+      const readOnlyId = readOnlyManager.isReadOnlyId(req.params.pad) ? req.params.pad : null;
+      const padId = readOnlyId ? await readOnlyManager.getPadId(readOnlyId) : req.params.pad;
+      if (padId == null || !await padManager.doesPadExist(padId)) return next();
+      const hookFileName = await hooks.aCallFirst('exportFileName', padId);
+      res.attachment(`${hookFileName.length ? hookFileName : readOnlyId || padId}.${extension}`);
+      res.send(await getBody(padId, req.params.rev));
+    })().catch((err) => next(err || new Error(err)));
+  });
+};
+
+exports.exportHtmlAdditionalTagsWithData = async (hookName, pad) => {
+  const values = [];
+  pad.pool.eachAttrib((key, value) => {
+    if (['embedMedia', 'embedMediaTime'].includes(key) && isExportableValue(value)) {
+      values.push([key, value]);
+    }
+  });
+  return values;
+};
+
+exports.getLineHTMLForExport = async (hookName, context) => {
+  context.lineContent = context.lineContent.replace(
+      /<span data-embedMedia="([^"]*)">([\s\S]*?)<\/span>/g,
+      (match, value, content) => {
+        // Adjacent embeds with the same value share one span, one character each.
+        const count = content.replace(/<[^>]*>/g, '').length;
+        return embedHtml(value).repeat(count);
+      })
+      .replace(
+          /<span data-embedMediaTime="([^"]*)">([\s\S]*?)<\/span>/g,
+          (match, value, content) => {
+            const timestamp = timestamps.parse(value);
+            if (timestamp == null) return content;
+            return `<a href="${shared.escapeHtml(timestamps.deepLink(timestamp))}">${content}</a>`;
+          });
+};
+
+// Core's plain text export and ep_markdown's Markdown export have no hook to change their lines, so
+// these exports are answered here, from a copy of the pad's text where every embed character has
+// been replaced by its link, or its Markdown. ep.json has these routes registered ahead of theirs.
+exports.expressCreateServer = (hookName, {app}) => {
+  // Limited like core's imports and exports, with the limiter of core's own dependency. Created
+  // here so that restarting the server resets it, as core does.
+  const etherpadDir = path.dirname(require.resolve('ep_etherpad-lite/package.json'));
+  const rateLimit = require(require.resolve('express-rate-limit', {paths: [etherpadDir]}));
+  const limiter = rateLimit({...settings.importExportRateLimiting});
+  serveExport(app, 'txt', 'txt', getPadTXT, limiter);
+  if (exportMarkdownPath != null) serveExport(app, 'markdown', 'md', getPadMarkdown, limiter);
+};
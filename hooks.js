@@ -1,6 +1,24 @@
 'use strict';
 
+const api = require('./api');
+const cards = require('./cards');
 const eejs = require('ep_etherpad-lite/node/eejs');
+const oembed = require('./oembed');
+const padSettings = require('./padSettings');
+const probe = require('./probe');
+const uploads = require('./uploads');
+const policy = require('./static/js/policy');
+const providers = require('./static/js/providers');
+
+// Provider definitions from settings.json, remembered so that they can be sent to the clients and
+// dropped again when the settings are reloaded.
+let settingsProviders = [];
+// The embed policy (see static/js/policy.js), enforced by the clients too.
+let policySettings = {};
+// Whether embeds are shown as click-to-load cards, and links turned into embeds as they are pasted,
+// in pads that don't choose for themselves.
+let facade = false;
+let autoEmbed = false;
 
 exports.eejsBlock_editbarMenuLeft = (hookName, args, cb) => {
   args.content += eejs.require('ep_embedmedia/templates/editbarButtons.ejs', {}, module);
@@ -9,11 +27,17 @@ exports.eejsBlock_editbarMenuLeft = (hookName, args, cb) => {
 
 exports.eejsBlock_body = (hookName, args, cb) => {
   args.content += eejs.require('ep_embedmedia/templates/modals.ejs', {}, module);
+  args.content += eejs.require('ep_embedmedia/templates/inventory.ejs', {}, module);
+  cb();
+};
+
+exports.eejsBlock_padSettings = (hookName, args, cb) => {
+  args.content += eejs.require('ep_embedmedia/templates/padSettings.ejs', {}, module);
   cb();
 };
 
-exports.eejsBlock_scripts = (hookName, args, cb) => {
-  args.content += eejs.require('ep_embedmedia/templates/scripts.ejs', {}, module);
+exports.eejsBlock_mySettings = (hookName, args, cb) => {
+  args.content += eejs.require('ep_embedmedia/templates/mySettings.ejs', {}, module);
   cb();
 };
 
@@ -21,3 +45,134 @@ exports.eejsBlock_styles = (hookName, args, cb) => {
   args.content += eejs.require('ep_embedmedia/templates/styles.ejs', {}, module);
   cb();
 };
+
+exports.loadSettings = async (hookName, {settings}) => {
+  const {providers: definitions = []} = settings.ep_embedmedia || {};
+  const {allowedSchemes, allowedHosts, blockedHosts, iframe} = settings.ep_embedmedia || {};
+  policySettings = {allowedSchemes, allowedHosts, blockedHosts, iframe};
+  policy.configure(policySettings);
+  facade = !!(settings.ep_embedmedia || {}).facade;
+  autoEmbed = !!(settings.ep_embedmedia || {}).autoEmbed;
+  for (const {name} of settingsProviders) providers.unregister(name);
+  settingsProviders = [];
+  for (const definition of definitions) {
+    try {
+      providers.register(providers.fromDefinition(definition));
+      settingsProviders.push(definition);
+    } catch (err) {
+      console.warn(
+          `ep_embedmedia: ignoring provider ${JSON.stringify(definition)}: ${err.message}`);
+    }
+  }
+};
+
+exports.clientVars = async (hookName, {pad}) => ({
+  ep_embedmedia: {
+    providers: settingsProviders,
+    policy: policySettings,
+    facade,
+    autoEmbed,
+    probe: probe.enabled(),
+    cards: cards.enabled(),
+    uploads: uploads.clientSettings(),
+    padSettings: await padSettings.get(pad.id),
+  },
+});
+
+// Answers a request with the JSON value handle(req, res) resolves to, if any: handlers that send
+// something else answer themselves. Failures are answered with {error}, and logged when they aren't
+// the request's fault. what(req) tells which request it was in the log.
+const route = (what, handle) => (req, res) => {
+  (async () => await handle(req, res))().then((value) => {
+    if (value !== undefined) res.json(value);
+  }, (err) => {
+    if (err.status == null || err.status >= 500) {
+      console.warn(`ep_embedmedia: ${what(req)} failed: ${err.message}`);
+    }
+    res.status(err.status || 500).json({error: err.message});
+  });
+};
+
+// Sends images fetched from other sites, see oembed.thumbnail() and cards.image().
+const sendImage = (res, {type, body}) => {
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.type(type).send(body);
+};
+
+exports.expressCreateServer = (hookName, {app}) => {
+  app.get('/ep_embedmedia/oembed', route((req) => `oEmbed lookup for ${req.query.url}`,
+      (req) => oembed.resolve(req.query.url)));
+
+  app.get('/ep_embedmedia/probe', route((req) => `probing ${req.query.url}`,
+      (req) => probe.probe(req.query.url)));
+
+  app.get('/ep_embedmedia/card', route((req) => `link card for ${req.query.url}`,
+      (req) => cards.resolve(req.query.url)));
+
+  app.get('/ep_embedmedia/card/image', route((req) => `card image for ${req.query.url}`,
+      async (req, res) => sendImage(res, await cards.image(req.query.url))));
+
+  // Under the pad's address, so that Etherpad checks access to them like it does for the pad.
+  app.post('/p/:pad/ep_embedmedia/upload', route((req) => `upload to pad ${req.params.pad}`,
+      async (req, res) => {
+        try {
+          return await uploads.upload(req, req.params.pad);
+        } catch (err) {
+          // The rest of the body isn't read, so the connection can't be reused.
+          res.set('Connection', 'close');
+          throw err;
+        }
+      }));
+
+  app.get('/p/:pad/ep_embedmedia/media/:file', route((req) => `serving ${req.params.file}`,
+      async (req, res) => {
+        let file;
+        try {
+          file = await uploads.load(req, req.params.pad, req.params.file);
+        } catch (err) {
+          if (err.status === 416) res.set('Content-Range', `bytes */${err.size}`);
+          throw err;
+        }
+        const {type, size, range, body} = file;
+        res.set('Accept-Ranges', 'bytes');
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.set('X-Content-Type-Options', 'nosniff');
+        // Nothing served from the pad's origin may run scripts. Browsers refuse to show sandboxed
+        // PDFs, but their viewers run the scripts of PDFs apart from the page anyway.
+        if (type !== 'application/pdf') res.set('Content-Security-Policy', 'sandbox');
+        res.type(type);
+        if (range != null) {
+          res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        }
+        res.set('Content-Length', String(range ? range.end - range.start + 1 : size));
+        body.on('error', (err) => {
+          console.warn(`ep_embedmedia: reading ${req.params.file} failed: ${err.message}`);
+          res.destroy();
+        });
+        body.pipe(res);
+      }));
+
+  // The HTTP API, see api.js. Etherpad checks the API key or token there, like for its own API.
+  const apiRoute = (what, handle) => route((req) => `${what} in pad ${req.params.pad}`,
+      async (req, res) => {
+        const fields = await api.readFields(req);
+        await api.checkAuth(req, fields);
+        const value = await handle(req.params, fields);
+        if (value === undefined) res.status(204).end();
+        else res.status(req.method === 'POST' ? 201 : 200);
+        return value;
+      });
+
+  app.get('/ep_embedmedia/api/pads/:pad/embeds',
+      apiRoute('listing embeds', ({pad}) => api.list(pad)));
+  app.post('/ep_embedmedia/api/pads/:pad/embeds',
+      apiRoute('inserting an embed', ({pad}, fields) => api.insert(pad, fields)));
+  app.patch('/ep_embedmedia/api/pads/:pad/embeds/:index',
+      apiRoute('updating an embed', ({pad, index}, fields) => api.update(pad, index, fields)));
+  app.delete('/ep_embedmedia/api/pads/:pad/embeds/:index',
+      apiRoute('removing an embed', ({pad, index}, fields) => api.remove(pad, index, fields)));
+
+  app.get('/ep_embedmedia/thumbnail', route((req) => `thumbnail for ${req.query.url}`,
+      async (req, res) => sendImage(res, await oembed.thumbnail(req.query.url))));
+};
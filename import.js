@@ -0,0 +1,15 @@
+'use strict';
+
+const fs = require('fs').promises;
+const shared = require('./static/js/shared');
+
+// The content collector skips elements without content, so iframes and friends in an imported
+// HTML file would be silently dropped. Rewrite them into embeds before core reads the file.
+exports.import = async (hookName, {srcFile, destFile, fileEnding}) => {
+  if (!['.html', '.htm'].includes(fileEnding)) return;
+  const html = await fs.readFile(srcFile, 'utf8');
+  const htmlWithEmbeds = shared.replaceEmbedsWithMarkers(html);
+  if (htmlWithEmbeds === html) return;
+  await fs.writeFile(destFile, htmlWithEmbeds);
+  return true;
+};
@@ -0,0 +1,214 @@
+'use strict';
+
+// Resolves links to oEmbed responses (https://oembed.com/) for the client, see the
+// /ep_embedmedia/oembed route in hooks.js. Only the endpoints on the allowlist are ever contacted,
+// so the route can't be used to make the server fetch arbitrary addresses. The thumbnails those
+// endpoints name are fetched for the client too (see the /ep_embedmedia/thumbnail route), so that
+// click-to-load embeds don't reveal readers to the media's site before they are played. The link
+// cards of cards.js are fetched with the same helpers.
+
+const http = require('http');
+const https = require('https');
+const {httpError} = require('./errors');
+const policy = require('./static/js/policy');
+const settings = require('ep_etherpad-lite/node/utils/Settings');
+const shared = require('./static/js/shared');
+
+const defaultProviders = [
+  {
+    name: 'YouTube',
+    schemes: ['https://*.youtube.com/*', 'https://youtu.be/*'],
+    endpoint: 'https://www.youtube.com/oembed',
+  },
+  {
+    name: 'Vimeo',
+    schemes: ['https://vimeo.com/*', 'https://player.vimeo.com/video/*'],
+    endpoint: 'https://vimeo.com/api/oembed.json',
+  },
+  {
+    name: 'Dailymotion',
+    schemes: ['https://www.dailymotion.com/video/*', 'https://dai.ly/*'],
+    endpoint: 'https://www.dailymotion.com/services/oembed',
+  },
+  {
+    name: 'SoundCloud',
+    schemes: ['https://soundcloud.com/*'],
+    endpoint: 'https://soundcloud.com/oembed',
+  },
+  {
+    name: 'Spotify',
+    schemes: ['https://open.spotify.com/*'],
+    endpoint: 'https://open.spotify.com/oembed',
+  },
+  {
+    name: 'Loom',
+    schemes: ['https://www.loom.com/share/*'],
+    endpoint: 'https://www.loom.com/v1/oembed',
+  },
+];
+
+const defaults = {
+  enabled: true,
+  providers: defaultProviders,
+  timeout: 5000, // milliseconds
+  maxBytes: 256 * 1024,
+  thumbnailMaxBytes: 1024 * 1024,
+  cacheTtl: 60 * 60, // seconds
+  cacheSize: 500,
+};
+
+const getConfig = () => ({...defaults, ...((settings.ep_embedmedia || {}).oembed || {})});
+
+// Turns a URL scheme such as "https://*.example.com/*" into a regular expression.
+const schemeToRegExp = (scheme) => new RegExp(
+    `^${scheme.split('*').map((s) => s.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')).join('.*')}$`,
+    'i');
+
+const findProvider = (url, providers) => providers.find(
+    ({schemes = []}) => schemes.some((scheme) => schemeToRegExp(scheme).test(url)));
+
+// Returns a cache of values by link. Least recently used entries are dropped first once it is
+// full.
+exports.createCache = () => {
+  const entries = new Map();
+  return {
+    get: (url) => {
+      const entry = entries.get(url);
+      if (entry == null) return null;
+      entries.delete(url);
+      if (entry.expires < Date.now()) return null;
+      entries.set(url, entry);
+      return entry.value;
+    },
+    set: (url, value, {cacheTtl, cacheSize}) => {
+      entries.delete(url);
+      entries.set(url, {value, expires: Date.now() + cacheTtl * 1000});
+      while (entries.size > cacheSize) entries.delete(entries.keys().next().value);
+    },
+    clear: () => entries.clear(),
+  };
+};
+
+const cache = exports.createCache();
+
+exports.clearCache = () => cache.clear();
+
+// Sends a request, without following redirects, and returns the response. agents are the http and
+// https agents to connect with by protocol, see probe.agents, or null for Node's.
+exports.request = async (url, {method = 'GET', headers = {}, signal, agents = null}) => {
+  const {protocol} = new URL(url);
+  const client = protocol === 'https:' ? https : http;
+  const agent = agents ? agents[protocol] : undefined;
+  return await new Promise((resolve, reject) => {
+    client.request(url, {method, headers, signal, agent}, resolve).on('error', reject).end();
+  });
+};
+
+const readLimited = async (res, maxBytes, what) => {
+  if (Number(res.headers['content-length']) > maxBytes) {
+    res.destroy();
+    throw httpError(502, `${what} is too large`);
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res) {
+    size += chunk.length;
+    if (size > maxBytes) throw httpError(502, `${what} is too large`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Returns {type, body} of the response to a GET request, body being a Buffer of at most maxBytes.
+// what names the response in error messages. agents are passed on to request().
+exports.fetchLimited = async (url, {timeout, maxBytes, accept, agents}, what) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const res = await exports.request(url, {headers: {accept}, signal: controller.signal, agents});
+    if (res.statusCode < 200 || res.statusCode > 299) {
+      res.resume();
+      throw httpError(502, `${what} request failed with ${res.statusCode}`);
+    }
+    const body = await readLimited(res, maxBytes, what);
+    return {type: res.headers['content-type'] || '', body};
+  } catch (err) {
+    if (controller.signal.aborted) throw httpError(504, `${what} request timed out`);
+    if (err.status == null) err.status = 502;
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const fetchOEmbed = async (endpoint, url, config) => {
+  const query = new URLSearchParams({url, format: 'json'});
+  const {body} = await exports.fetchLimited(
+      `${endpoint}${endpoint.includes('?') ? '&' : '?'}${query}`,
+      {...config, accept: 'application/json'}, 'oEmbed');
+  return JSON.parse(body.toString('utf8'));
+};
+
+const number = (value) => {
+  const n = Number(value);
+  return n > 0 && Number.isFinite(n) ? n : null;
+};
+
+const string = (value) => (typeof value === 'string' && value !== '' ? value : null);
+
+// Keeps only the fields the client uses, with the markup passed through the embed sanitizer.
+const normalize = (data, provider) => {
+  if (data == null || typeof data !== 'object') throw httpError(502, 'invalid oEmbed response');
+  const thumbnail = string(data.thumbnail_url);
+  return {
+    type: string(data.type),
+    provider: string(data.provider_name) || provider.name,
+    title: string(data.title),
+    thumbnail: thumbnail && shared.getEmbedUrl(thumbnail),
+    width: number(data.width),
+    height: number(data.height),
+    html: typeof data.html === 'string' ? shared.sanitize(data.html).trim() || null : null,
+  };
+};
+
+// Returns {type, provider, title, thumbnail, width, height, html} for a link. Errors carry the
+// HTTP status to answer with.
+exports.resolve = async (url) => {
+  const config = getConfig();
+  if (!config.enabled) throw httpError(404, 'oEmbed is disabled');
+  if (!shared.isLink(url)) {
+    throw httpError(400, 'a http(s) url is required');
+  }
+  if (policy.check(url)) throw httpError(403, 'embedding this url is blocked by policy');
+  const cached = cache.get(url);
+  if (cached != null) return cached;
+  const provider = findProvider(url, config.providers);
+  if (provider == null) throw httpError(404, 'no oEmbed provider is allowed for this url');
+  const value = normalize(await fetchOEmbed(provider.endpoint, url, config), provider);
+  cache.set(url, value, config);
+  return value;
+};
+
+// Image types browsers can't be made to run scripts from, as the thumbnails are served from the
+// pad's origin.
+const thumbnailTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif'];
+
+// Returns {type, body} of an image of at most maxBytes. Errors carry the HTTP status to answer
+// with.
+exports.fetchImage = async (url, {timeout, maxBytes, agents}) => {
+  const {type, body} = await exports.fetchLimited(
+      url, {timeout, maxBytes, agents, accept: thumbnailTypes.join(', ')}, 'thumbnail');
+  const mimeType = type.split(';')[0].trim().toLowerCase();
+  if (!thumbnailTypes.includes(mimeType)) throw httpError(502, 'thumbnail is not an image');
+  return {type: mimeType, body};
+};
+
+// Returns {type, body} of the thumbnail oEmbed names for a link. Errors carry the HTTP status to
+// answer with.
+exports.thumbnail = async (url) => {
+  const {thumbnail} = await exports.resolve(url);
+  if (thumbnail == null) throw httpError(404, 'no thumbnail is known for this url');
+  if (policy.check(thumbnail)) throw httpError(403, 'loading this thumbnail is blocked by policy');
+  const config = getConfig();
+  return await exports.fetchImage(thumbnail, {...config, maxBytes: config.thumbnailMaxBytes});
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+// Settings of a single pad that override the ones in settings.json. They are changed by the pad's
+// writers from the pad's settings popup, saved in the database and sent to everyone on the pad.
+//
+// facade: true to show embeds as cards that load the player when clicked, false to load players
+// right away, or null to follow ep_embedmedia.facade in settings.json.
+// autoEmbed: true to turn links pasted or typed on a line of their own into embeds, false to leave
+// them alone, or null to follow ep_embedmedia.autoEmbed in settings.json.
+
+const db = require('ep_etherpad-lite/node/db/DB');
+const padMessageHandler = require('ep_etherpad-lite/node/handler/PadMessageHandler');
+
+const defaults = {facade: null, autoEmbed: null};
+
+const dbKey = (padId) => `ep_embedmedia:padSettings:${padId}`;
+
+exports.get = async (padId) => ({...defaults, ...(await db.get(dbKey(padId)))});
+
+const isValid = (settings) => settings != null && typeof settings === 'object' &&
+    Object.entries(settings).every(
+        ([name, value]) => name in defaults && [true, false, null].includes(value));
+
+// Clients send {type: 'ep_embedmedia_padSettings', settings} as a COLLABROOM message. The
+// settings that result are sent to the pad as a CUSTOM message, see handleClientMessage_CUSTOM in
+// static/js/hooks.js.
+exports.handleMessage = async (hookName, {message, sessionInfo}) => {
+  if (message.type !== 'COLLABROOM' || message.data == null) return;
+  if (message.data.type !== 'ep_embedmedia_padSettings') return;
+  // This runs before Etherpad drops the messages of readers.
+  const {padId, readOnly} = sessionInfo || {};
+  if (padId == null || readOnly) {
+    console.warn('ep_embedmedia: ignoring pad settings from a reader who may not change them');
+    return null;
+  }
+  if (!isValid(message.data.settings)) {
+    console.warn(`ep_embedmedia: ignoring invalid pad settings for pad ${padId}: ` +
+        `${JSON.stringify(message.data.settings)}`);
+    return null;
+  }
+  const settings = {...(await exports.get(padId)), ...message.data.settings};
+  await db.set(dbKey(padId), settings);
+  padMessageHandler.handleCustomObjectMessage({
+    type: 'COLLABROOM',
+    data: {type: 'CUSTOM', payload: {padId, ep_embedmedia: {padSettings: settings}}},
+  });
+  return null;
+};
+
+exports.padCopy = async (hookName, {srcPad, dstPad}) => {
+  const settings = await db.get(dbKey(srcPad.id));
+  if (settings != null) await db.set(dbKey(dstPad.id), settings);
+};
+
+exports.padRemove = async (hookName, {pad}) => {
+  await db.remove(dbKey(pad.id));
+};
@@ -0,0 +1,123 @@
+'use strict';
+
+// Tells whether a link is an audio, video, image or PDF file the browser can show itself, for
+// links whose extension doesn't say (see shared.recordFromCode()), by asking the link's server for
+// the type of the file with a HEAD request. The /ep_embedmedia/probe route in hooks.js answers the
+// client. It is off by default, as it makes the server contact any address a pad's author types.
+// Even when it is on, addresses in private networks are refused, so that the route can't be used
+// to find out about the network Etherpad runs in.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const {httpError} = require('./errors');
+const net = require('net');
+const oembed = require('./oembed');
+const policy = require('./static/js/policy');
+const settings = require('ep_etherpad-lite/node/utils/Settings');
+const shared = require('./static/js/shared');
+
+const defaults = {
+  enabled: false,
+  timeout: 5000, // milliseconds
+  allowPrivateAddresses: false,
+};
+
+const getConfig = () => ({...defaults, ...((settings.ep_embedmedia || {}).probe || {})});
+
+exports.enabled = () => !!getConfig().enabled;
+
+// Loopback, private, link-local, shared, benchmarking, multicast and reserved networks.
+const privateNetworks = {
+  ipv4: [
+    '0.0.0.0/8',
+    '10.0.0.0/8',
+    '100.64.0.0/10',
+    '127.0.0.0/8',
+    '169.254.0.0/16',
+    '172.16.0.0/12',
+    '192.168.0.0/16',
+    '198.18.0.0/15',
+    '224.0.0.0/3',
+  ],
+  ipv6: [
+    '::/127',
+    '::ffff:0:0/96',
+    '64:ff9b::/96',
+    'fc00::/7',
+    'fe80::/10',
+    'ff00::/8',
+  ],
+};
+
+const privateAddresses = new net.BlockList();
+for (const [type, subnets] of Object.entries(privateNetworks)) {
+  for (const subnet of subnets) {
+    const [address, prefix] = subnet.split('/');
+    privateAddresses.addSubnet(address, Number(prefix), type);
+  }
+}
+
+const isPrivate = ({address, family}) => privateAddresses.check(address, `ipv${family}`);
+
+// Fails with 403 if a host name is an address in a private network. Names are checked as they
+// are connected to, see agents.
+exports.checkHost = (hostname) => {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host) && isPrivate({address: host, family: net.isIP(host)})) {
+    throw httpError(403, 'connecting to private addresses is not allowed');
+  }
+};
+
+// Resolves names like dns.lookup(), failing for those with an address in a private network.
+const lookup = (hostname, options, callback) => {
+  dns.lookup(hostname, {...options, all: true}, (err, addresses) => {
+    if (err != null) {
+      callback(err);
+    } else if (addresses.some(isPrivate)) {
+      callback(httpError(403, 'connecting to private addresses is not allowed'));
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+// The http and https agents the addresses authors type are connected to with, by protocol (see
+// oembed.request()). Names are checked as they are resolved for the connection, so that a name
+// can't pass the check and then resolve to a private address.
+exports.agents = {'http:': new http.Agent({lookup}), 'https:': new https.Agent({lookup})};
+
+// Returns {type} for a link to an audio, video, image or PDF file, type being "audio", "video",
+// "image" or "pdf". Errors carry the HTTP status to answer with.
+exports.probe = async (url) => {
+  const config = getConfig();
+  if (!config.enabled) throw httpError(404, 'probing links is disabled');
+  if (!shared.isLink(url)) {
+    throw httpError(400, 'a http(s) url is required');
+  }
+  if (policy.check(url)) throw httpError(403, 'embedding this url is blocked by policy');
+  const agents = config.allowPrivateAddresses ? null : exports.agents;
+  if (agents != null) exports.checkHost(new URL(url).hostname);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.timeout);
+  let res;
+  try {
+    res = await oembed.request(url, {method: 'HEAD', signal: controller.signal, agents});
+  } catch (err) {
+    if (controller.signal.aborted) throw httpError(504, 'probe request timed out');
+    if (err.status != null) throw err;
+    throw httpError(502, `probe request failed: ${err.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+  res.resume();
+  if (res.statusCode < 200 || res.statusCode > 299) {
+    throw httpError(502, `probe request failed with ${res.statusCode}`);
+  }
+  const mimeType = (res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const type = mimeType === 'application/pdf' ? 'pdf' : mimeType.split('/')[0];
+  if (!shared.fileTypes.includes(type)) throw httpError(404, 'not a file that can be embedded');
+  return {type};
+};
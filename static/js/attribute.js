@@ -0,0 +1,86 @@
+'use strict';
+
+// The value of the embedMedia attribute. Embeds are stored as a versioned list of fields rather
+// than as the code that was typed, e.g.
+//
+//   v1;p=youtube;id=dQw4w9WgXcQ;u=https%3A%2F%2Fyoutu.be%2FdQw4w9WgXcQ%3Ft%3D90;t=90
+//
+// Values are URI-encoded (quotes included) and the fields are always written in the same order,
+// so a value is safe to use as a CSS class name or an HTML attribute and compares equal whenever
+// the embeds do. Values written before the format existed hold the typed code passed through
+// escape(), which never produces ";", so the two can't be mixed up.
+
+const version = 'v1';
+
+// Field names of the record returned by parse(), and their key in the attribute value.
+const fields = [
+  ['provider', 'p'], // name of the provider in providers.js that plays the media
+  ['id', 'id'], // the media's id at that provider
+  ['url', 'u'], // the link that was inserted
+  ['start', 't'], // where playback starts, in seconds
+  ['width', 'w'], // size chosen for the player, in pixels
+  ['height', 'h'],
+  ['ratio', 'ar'], // width / height of the media, as reported by oEmbed or chosen
+  ['size', 'sz'], // size preset: "small", "medium" or "full", replaces width and height
+  ['align', 'al'], // "left", "center" or "right"
+  ['title', 'ti'],
+  ['thumbnail', 'th'],
+  ['html', 'c'], // sanitized embed code, for embeds that aren't played from a link
+  // "video", "audio", "image" or "pdf" for links to files the browser shows itself, "link" for
+  // preview cards of other pages
+  ['type', 'ty'],
+  ['poster', 'po'], // image shown before a video file is played
+  ['captions', 'cc'], // WebVTT captions of an audio or video file
+  ['captionsLang', 'cl'], // language of the captions
+  ['alt', 'at'], // alternative text of an image
+  ['page', 'pg'], // page documents open at, starting from 1
+  ['description', 'ds'], // description of a page shown on its card
+  ['site', 'sn'], // name of the site of a page shown on its card
+  ['caption', 'cp'], // shown under the embed
+];
+const numbers = new Set(['start', 'width', 'height', 'ratio', 'page']);
+
+const encode = (s) => encodeURIComponent(s)
+    .replace(/['()!*~]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const decode = (s) => {
+  try {
+    return decodeURIComponent(s);
+  } catch (err) {
+    return null;
+  }
+};
+
+exports.isLegacy = (value) => !String(value).startsWith(`${version};`);
+
+// Returns the attribute value for a record. Fields that are null, undefined or empty are left out.
+exports.stringify = (record) => {
+  const parts = [version];
+  for (const [name, key] of fields) {
+    const value = record[name];
+    if (value == null || value === '' || (numbers.has(name) && !Number.isFinite(value))) continue;
+    parts.push(`${key}=${encode(value)}`);
+  }
+  return parts.join(';');
+};
+
+// Returns the record held by an attribute value in the current format, or null. Unknown fields are
+// ignored so that values written by newer versions still render.
+exports.parse = (value) => {
+  if (exports.isLegacy(value)) return null;
+  const record = {};
+  for (const part of String(value).split(';').slice(1)) {
+    const i = part.indexOf('=');
+    const field = fields.find(([, key]) => key === part.slice(0, i));
+    if (i === -1 || !field) continue;
+    const s = decode(part.slice(i + 1));
+    if (s == null) continue;
+    const [name] = field;
+    if (!numbers.has(name)) record[name] = s;
+    else if (s !== '' && Number.isFinite(Number(s))) record[name] = Number(s);
+  }
+  return record;
+};
+
+// Returns the code typed into the modal for a value written before this format existed.
+exports.parseLegacy = (value) => unescape(value);
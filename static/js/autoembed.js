@@ -0,0 +1,91 @@
+'use strict';
+
+// Links pasted or typed on a line of their own, and followed by Enter, are turned into embeds in
+// pads that ask for it. It is enabled with ep_embedmedia.autoEmbed in settings.json and can be
+// overridden per pad, like click-to-load mode (see facade.js). Only links that can be embedded
+// without asking anything are converted: those a provider plays and links to audio, video and PDF
+// files. The conversion is a step of its own in the undo history, so undoing it brings back the
+// link.
+
+const attribute = require('./attribute');
+const shared = require('./shared');
+
+let globalSetting = false;
+let padSetting = null;
+// The editor, see init().
+let editor = null;
+
+exports.configure = ({autoEmbed = false, padSettings = {}} = {}) => {
+  globalSetting = !!autoEmbed;
+  padSetting = padSettings.autoEmbed == null ? null : !!padSettings.autoEmbed;
+};
+
+exports.enabled = () => (padSetting == null ? globalSetting : padSetting);
+
+// Applies pad settings sent by the server after someone changed them.
+exports.update = (padSettings) => {
+  padSetting = padSettings.autoEmbed == null ? null : !!padSettings.autoEmbed;
+  $('#options-embedmedia-autoembed').prop('checked', exports.enabled());
+};
+
+// Returns the attribute value of the embed for a link, or null if the text isn't one that is
+// converted.
+exports.linkValue = (text) => {
+  const code = String(text).trim();
+  if (!shared.isLink(code)) return null;
+  const record = shared.recordFromCode(code);
+  if (record.provider == null && !['video', 'audio', 'pdf'].includes(record.type)) return null;
+  if (shared.checkRecord(record).error != null) return null;
+  return shared.cleanValue(attribute.stringify(record));
+};
+
+// Replaces the link the caret is at the end of with its embed, if it is all there is on the line.
+// Must be called with the editor (ace_* functions).
+const convertAtCaret = (ace) => {
+  const rep = ace.ace_getRep();
+  if (!rep.selStart || !rep.selEnd) return;
+  const [line, column] = rep.selStart;
+  if (rep.selEnd[0] !== line || rep.selEnd[1] !== column) return;
+  const {text, lineMarker} = rep.lines.atIndex(line);
+  if (column !== text.length) return;
+  const value = exports.linkValue(text.slice(lineMarker));
+  if (value == null) return;
+  ace.ace_replaceRange([line, lineMarker], [line, text.length], 'E');
+  ace.ace_performDocumentApplyAttributesToRange(
+      [line, lineMarker], [line, lineMarker + 1], [['embedMedia', value]]);
+  ace.ace_performSelectionChange([line, lineMarker + 1], [line, lineMarker + 1], false);
+};
+
+exports.init = (ace, {pad}) => {
+  editor = ace;
+  $('#options-embedmedia-autoembed')
+      .prop('checked', exports.enabled())
+      .prop('disabled', !!clientVars.readonly)
+      .on('change', (e) => {
+        pad.collabClient.sendMessage({
+          type: 'ep_embedmedia_padSettings',
+          settings: {autoEmbed: $(e.currentTarget).prop('checked')},
+        });
+      });
+};
+
+// Called from the acePaste hook. The link is pasted as usual, and converted once the editor has
+// taken it in, as a separate step.
+exports.handlePaste = (e) => {
+  const clipboardData = e.originalEvent && e.originalEvent.clipboardData;
+  if (editor == null || !exports.enabled() || !clipboardData) return;
+  if (exports.linkValue(clipboardData.getData('text/plain')) == null) return;
+  setTimeout(() => {
+    editor.callWithAce((ace) => ace.ace_fastIncorp(), 'embedMediaPaste');
+    editor.callWithAce(convertAtCaret, 'autoEmbed');
+  });
+};
+
+// Called from the aceKeyEvent hook with its context. Enter after a link converts it before the
+// line is broken, so that undoing both brings back the link. Returns nothing: the key is still
+// handled by the editor.
+exports.handleKeyEvent = ({evt, editorInfo}) => {
+  if (!exports.enabled() || evt.type !== 'keydown' || evt.key !== 'Enter') return;
+  if (evt.shiftKey || evt.ctrlKey || evt.metaKey || evt.altKey || evt.isComposing) return;
+  convertAtCaret(editorInfo);
+};
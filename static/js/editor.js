@@ -0,0 +1,9 @@
+'use strict';
+
+// Helpers for the client modules that work on the pad's editor, which is nested in two iframes.
+
+// Returns the document of the pad's editor.
+exports.innerDocument = () => {
+  const outer = $('iframe[name="ace_outer"]').contents();
+  return outer.find('iframe[name="ace_inner"]')[0].contentDocument;
+};
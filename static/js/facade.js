@@ -0,0 +1,71 @@
+'use strict';
+
+// Click-to-load mode: embeds are shown as cards with a thumbnail and a title (see
+// shared.renderFacade()) and only load their player once they are clicked, so that long pads
+// stay fast and readers aren't revealed to the media's site before they choose to play something.
+// It is enabled with ep_embedmedia.facade in settings.json and can be overridden per pad.
+
+const editor = require('./editor');
+const shared = require('./shared');
+
+// Whether the mode is on in pads that don't choose for themselves, and what this pad chose.
+let globalSetting = false;
+let padSetting = null;
+// Values of the embeds clicked in this window, they stay loaded until the page is reloaded.
+const activated = new Set();
+// Redraws the embeds in the pad, see init().
+let redraw = () => {};
+
+exports.configure = ({facade = false, padSettings = {}} = {}) => {
+  globalSetting = !!facade;
+  padSetting = padSettings.facade == null ? null : !!padSettings.facade;
+};
+
+exports.enabled = () => (padSetting == null ? globalSetting : padSetting);
+
+exports.isActivated = (value) => activated.has(value);
+
+// Applies pad settings sent by the server after someone changed them.
+exports.update = (padSettings) => {
+  const wasEnabled = exports.enabled();
+  padSetting = padSettings.facade == null ? null : !!padSettings.facade;
+  $('#options-embedmedia-facade').prop('checked', exports.enabled());
+  if (exports.enabled() !== wasEnabled) redraw();
+};
+
+// render(value) returns the markup of an embed as the pad shows it.
+exports.init = (ace, {pad, render}) => {
+  const $innerDoc = $(editor.innerDocument());
+
+  // The markup is swapped in place. The editor notices and redraws the line when it next looks at
+  // it, with the same result because the lines are drawn with render() too.
+  redraw = (value = null) => {
+    $innerDoc.find('.embedMedia').each((i, frame) => {
+      const frameValue = shared.embedValue(frame);
+      if (frameValue == null || (value != null && frameValue !== value)) return;
+      $(frame).children('.media').html(render(frameValue));
+    });
+  };
+
+  const load = (e) => {
+    e.preventDefault();
+    const value = shared.embedValue(e.currentTarget.closest('.embedMedia'));
+    if (value == null) return;
+    activated.add(value);
+    redraw(value);
+  };
+  $innerDoc.on('click', '.embedMedia .facade', load);
+  $innerDoc.on('keydown', '.embedMedia .facade', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') load(e);
+  });
+
+  $('#options-embedmedia-facade')
+      .prop('checked', exports.enabled())
+      .prop('disabled', !!clientVars.readonly)
+      .on('change', (e) => {
+        pad.collabClient.sendMessage({
+          type: 'ep_embedmedia_padSettings',
+          settings: {facade: $(e.currentTarget).prop('checked')},
+        });
+      });
+};
@@ -1,31 +1,192 @@
 'use strict';
 
+const autoEmbed = require('./autoembed');
+const facade = require('./facade');
+const inventory = require('./inventory');
+const lightbox = require('./lightbox');
+const modal = require('./modal');
+const pages = require('./pages');
+const players = require('./players');
+const policy = require('./policy');
+const providers = require('./providers');
+const resize = require('./resize');
+const shared = require('./shared');
+const timestamps = require('./timestamps');
+const watch = require('./watch');
+
+// Providers and the embed policy from the server's settings.json arrive with clientVars, which
+// don't exist yet when this module is loaded and are needed as soon as the first line is rendered.
+let settingsLoaded = false;
+const loadSettings = () => {
+  if (settingsLoaded || typeof clientVars === 'undefined') return;
+  settingsLoaded = true;
+  const {providers: definitions = [], policy: policySettings, facade: facadeSetting, padSettings,
+    autoEmbed: autoEmbedSetting, probe, cards, uploads} = clientVars.ep_embedmedia || {};
+  policy.configure(policySettings);
+  facade.configure({facade: facadeSetting, padSettings});
+  autoEmbed.configure({autoEmbed: autoEmbedSetting, padSettings});
+  modal.configure({probe, cards, uploads});
+  for (const definition of definitions) providers.register(providers.fromDefinition(definition));
+};
+
+// Returns the markup shown in the pad for an attribute value. Images and link cards are shown as
+// they are: there is no player to load, and redrawing them doesn't reload them.
+const renderMedia = (value) => {
+  const record = shared.parseValue(value);
+  const violation = record && shared.checkPolicy(record);
+  const image = record != null && (record.type === 'image' || record.type === 'link');
+  if (record && !violation && !image && facade.enabled() && !facade.isActivated(value)) {
+    return shared.renderFacade(record);
+  }
+  // The message is drawn by the style sheet (see ace.css), like captions.
+  if (violation) {
+    return `<span class='blocked' title='${shared.escapeHtml(violation.url)}' data-message='` +
+        `${shared.escapeHtml(modal.errorMessage({error: 'blocked', violation}))}'></span>`;
+  }
+  if (record && !image && players.enabled() && shared.renderEmbed(record)) {
+    return players.renderSlot(record);
+  }
+  return shared.renderValue(value);
+};
+
+// Returns {start, end, value} for the embed at a position, or null if there is none.
+const getEmbedAt = ({rep, documentAttributeManager}, [line, column]) => {
+  if (line < 0 || line >= rep.lines.length() || column < 0 ||
+      column >= rep.lines.atIndex(line).text.length) {
+    return null;
+  }
+  const attrib = documentAttributeManager.getAttributesOnPosition(line, column)
+      .find(([key]) => key === 'embedMedia');
+  return attrib && attrib[1]
+    ? {start: [line, column], end: [line, column + 1], value: attrib[1]}
+    : null;
+};
+
+// Returns {start, end, value} for the embed the selection covers or the caret is next to, or null.
+const getEmbedAtSelection = (context) => {
+  const {rep} = context;
+  if (!rep.selStart || !rep.selEnd) return null;
+  const [line, col] = rep.selStart;
+  if (rep.selEnd[0] !== line || rep.selEnd[1] - col > 1) return null;
+  // The character before the caret first, that's where clicking on an embed puts it.
+  const columns = rep.selEnd[1] > col ? [col] : [col - 1, col];
+  for (const column of columns) {
+    const embed = getEmbedAt(context, [line, column]);
+    if (embed) return embed;
+  }
+  return null;
+};
+
+// Returns {start, end, value} for the embed a .embedMedia element in the pad shows, or null if the
+// element is no longer in the pad.
+const getEmbedForNode = ({rep, documentAttributeManager}, node) => {
+  const lineNode = node.closest('#innerdocbody > div');
+  const line = lineNode ? rep.lines.indexOfKey(lineNode.id) : -1;
+  if (line < 0) return null;
+  // Embeds are one character each, so the nth embed element is the nth embed character.
+  const index = [...lineNode.querySelectorAll('.embedMedia')].indexOf(node);
+  const {text} = rep.lines.atIndex(line);
+  let found = 0;
+  for (let column = 0; column < text.length; column++) {
+    const attrib = documentAttributeManager.getAttributesOnPosition(line, column)
+        .find(([key]) => key === 'embedMedia');
+    if (!attrib || !attrib[1] || found++ !== index) continue;
+    return {start: [line, column], end: [line, column + 1], value: attrib[1]};
+  }
+  return null;
+};
+
+// Returns the .embedMedia element showing the embed at a position, see getEmbedAtSelection().
+const getNodeForEmbed = ({rep, documentAttributeManager}, [line, column]) => {
+  const {lineNode} = rep.lines.atIndex(line);
+  let index = 0;
+  for (let c = 0; c < column; c++) {
+    const attrib = documentAttributeManager.getAttributesOnPosition(line, c)
+        .find(([key]) => key === 'embedMedia');
+    if (attrib && attrib[1]) index++;
+  }
+  return lineNode ? lineNode.querySelectorAll('.embedMedia')[index] || null : null;
+};
+
+// Makes an embed usable from the keyboard: loads a click-to-load card, zooms an image or moves the
+// focus to the player.
+const activate = (frame) => {
+  const card = frame.querySelector('.facade');
+  const image = frame.querySelector('img.image');
+  if (card != null) $(card).trigger('click');
+  else if (image != null) lightbox.open(image);
+  else players.focus(frame);
+};
+
+exports.aceInitialized = (hookName, context) => {
+  players.enable();
+  context.editorInfo.ace_getEmbedAt = (position) => getEmbedAt(context, position);
+  context.editorInfo.ace_getEmbedAtSelection = () => getEmbedAtSelection(context);
+  context.editorInfo.ace_getEmbedForNode = (node) => getEmbedForNode(context, node);
+  context.editorInfo.ace_toggleTimestamp = () => timestamps.toggle(context);
+};
+
 // Bind the modal's click handlers once the editor is available. The
 // previous implementation lived in static/js/main.js and used a global
 // require() to fetch padeditor — modern Etherpad doesn't expose require
 // to page scripts, so it threw "require is not defined". postAceInit
 // gives us context.ace directly with no module lookup needed.
-exports.postAceInit = (hookName, {ace}) => {
-  $('#insertEmbedMedia').on('click', () => {
-    $('#embedMediaModal').toggleClass('popup-show');
+exports.postAceInit = (hookName, {ace, pad}) => {
+  loadSettings();
+  modal.init(ace);
+  inventory.init(ace);
+  resize.init(ace);
+  facade.init(ace, {pad, render: renderMedia});
+  autoEmbed.init(ace, {pad});
+  players.init({
+    render: (value) => shared.renderValue(value) + pages.renderControls(shared.parseValue(value)),
+    loaded: watch.loaded,
   });
+  watch.init({pad});
+  pages.init();
+  lightbox.init();
+  timestamps.init(ace);
+};
 
-  $('#doEmbedMedia').on('click', () => {
-    $('#embedMediaModal').toggleClass('popup-show');
-    return ace.callWithAce((ace) => {
-      const rep = ace.ace_getRep();
-      ace.ace_replaceRange(rep.selStart, rep.selEnd, 'E');
-      ace.ace_performSelectionChange(
-          [rep.selStart[0], rep.selStart[1] - 1], rep.selStart, false);
-      ace.ace_performDocumentApplyAttributesToRange(
-          rep.selStart, rep.selEnd,
-          [['embedMedia', escape($('#embedMediaSrc')[0].value)]]);
-    }, 'embedMedia');
-  });
+// Pad settings changed by someone on the pad (see padSettings.js), or what a presenter did with a
+// player (see watch.js).
+exports.handleClientMessage_CUSTOM = (hookName, {payload}) => {
+  if (payload == null || payload.ep_embedmedia == null) return;
+  if (payload.ep_embedmedia.watch != null) {
+    watch.receive(payload.ep_embedmedia.watch);
+    return;
+  }
+  facade.update(payload.ep_embedmedia.padSettings || {});
+  autoEmbed.update(payload.ep_embedmedia.padSettings || {});
+};
 
-  $('#cancelEmbedMedia').on('click', () => {
-    $('#embedMediaModal').toggleClass('popup-show');
-  });
+// Pasted iframe/video/audio elements would be dropped by the content collector because they
+// have no content, so paste them as embeds instead. Links may be turned into embeds, see
+// autoembed.js.
+exports.acePaste = (hookName, {e}) => {
+  const clipboardData = e.originalEvent && e.originalEvent.clipboardData;
+  if (!clipboardData) return;
+  const pastedHtml = clipboardData.getData('text/html');
+  const htmlWithEmbeds = pastedHtml && shared.replaceEmbedsWithMarkers(pastedHtml);
+  if (htmlWithEmbeds === pastedHtml) {
+    autoEmbed.handlePaste(e);
+    return;
+  }
+  e.preventDefault();
+  e.target.ownerDocument.execCommand('insertHTML', false, htmlWithEmbeds);
+};
+
+// Alt+Enter next to an embed activates it, see activate().
+exports.aceKeyEvent = (hookName, context) => {
+  autoEmbed.handleKeyEvent(context);
+  const {evt} = context;
+  if (evt.type !== 'keydown' || evt.key !== 'Enter' || !evt.altKey) return;
+  const embed = getEmbedAtSelection(context);
+  const frame = embed && getNodeForEmbed(context, embed.start);
+  if (frame == null) return;
+  evt.preventDefault();
+  activate(frame);
+  return true;
 };
 
 exports.aceInitInnerdocbodyHead = (hookName, args, cb) => {
@@ -38,94 +199,42 @@ exports.aceAttribsToClasses = (hookName, args) => {
   if (args.key === 'embedMedia' && args.value !== '') {
     return [`embedMedia:${args.value}`];
   }
+  if (args.key === 'embedMediaTime' && args.value !== '') {
+    return ['embedMediaTime', `embedMediaTime:${args.value}`];
+  }
 };
 
+const styleAttr = (style) => (style ? ` style='${style}'` : '');
+
 exports.aceCreateDomLine = (hookName, args, cb) => {
   if (args.cls.indexOf('embedMedia:') >= 0) {
-    const clss = [];
-    const argClss = args.cls.split(' ');
-    let value;
-
-    for (let i = 0; i < argClss.length; i++) {
-      const cls = argClss[i];
-      if (cls.indexOf('embedMedia:') !== -1) {
-        value = cls.substr(cls.indexOf(':') + 1);
-      } else {
-        clss.push(cls);
-      }
-    }
-    const cleanedCode = exports.cleanEmbedCode(unescape(value));
-    const media = `<span class='media'>${cleanedCode}</span>`;
+    loadSettings();
+    const value = shared.valueFromClasses(args.cls, 'embedMedia');
+    const clss = args.cls.split(' ').filter((cls) => cls.indexOf('embedMedia:') !== 0);
+    const record = shared.parseValue(value);
+    const {frame, player} = record ? shared.frameStyles(record) : {frame: '', player: ''};
+    const media = `<span class='media${player ? ' fit' : ''}'${styleAttr(player)}>` +
+        `${renderMedia(value)}</span>`;
+    // The caption is drawn by the style sheet (see ace.css): text in the line would be collected
+    // into the pad's text.
+    const caption = record && record.caption
+      ? `<span class='caption' data-caption='${shared.escapeHtml(record.caption)}'></span>` : '';
+    const title = record && shared.embedTitle(record);
+    const label = title ? ` aria-label='${shared.escapeHtml(title)}'` : '';
+    // Keep the value on the wrapper so the content collector can recover the attribute when the
+    // line is collected again, e.g. after typing next to the embed or copying it elsewhere.
+    const wrapperCls = shared.escapeHtml(`embedMedia embedMedia:${value}`);
     return cb([{
       cls: clss.join(' '),
-      extraOpenTags: `<span class='embedMedia'>${media}<span class='character'>`,
-      extraCloseTags: '</span>',
+      extraOpenTags: `<span class='${wrapperCls}' role='figure'${label}${styleAttr(frame)}>` +
+          `${media}${caption}<span class='resize' aria-hidden='true'></span>` +
+          "<span class='character' aria-hidden='true'>",
+      extraCloseTags: '</span></span>',
     }]);
   }
 
   return cb();
 };
 
-
-const parseUrlParams = (url) => {
-  const res = {};
-  const query = url.split('?')[1];
-  if (!query) return res;
-  query.split('&').map((item) => {
-    item = item.split('=');
-    res[item[0]] = item[1];
-  });
-  return res;
-};
-
-exports.sanitize = (inputHtml) => {
-  // Monkeypatch the sanitizer a bit
-  // adding support for embed tags and fixing broken param tags
-  /* global html4, html */
-  html4.ELEMENTS.embed = html4.eflags.UNSAFE;
-  html4.ELEMENTS.param = html4.eflags.UNSAFE;
-  // NOT empty or we break stuff in some browsers...
-
-  return html.sanitizeWithPolicy(inputHtml, (tagName, attribs) => {
-    if ($.inArray(tagName, ['embed', 'object', 'iframe', 'param']) === -1) {
-      return null;
-    }
-    return attribs;
-  });
-};
-
-exports.cleanEmbedCode = (orig) => {
-  let res = null;
-
-  const value = $.trim(orig);
-
-  if (value.indexOf('http://') === 0 || value.indexOf('https://') === 0) {
-    if (value.indexOf('www.youtube.com') !== -1) {
-      const video = escape(parseUrlParams(value).v);
-      // eslint-disable-next-line max-len
-      res = `<iframe width="420" height="315" src="https://www.youtube.com/embed/${video}" frameborder="0" allowfullscreen></iframe>`;
-    } else if (value.indexOf('vimeo.com') !== -1) {
-      const video = escape(value.split('/').pop());
-      // eslint-disable-next-line max-len
-      res = `<iframe src="http://player.vimeo.com/video/${video}?color=ffffff" width="420" height="236" frameborder="0" webkitAllowFullScreen mozallowfullscreen allowFullScreen></iframe>`;
-    } else {
-      console.warn(`Unsupported embed url: ${orig}`);
-    }
-  } else if (value.indexOf('<') === 0) {
-    const sanitizedValue = $.trim(exports.sanitize(value));
-    if (sanitizedValue !== '') {
-      console.log([orig, sanitizedValue]);
-      res = sanitizedValue;
-    } else {
-      console.warn(`Invalid embed code: ${orig}`);
-    }
-  } else {
-    console.warn(`Invalid embed code: ${orig}`);
-  }
-
-  if (!res) {
-    return "<img src='../static/plugins/ep_embedmedia/static/html/invalid.png'>";
-  }
-
-  return res;
-};
+exports.sanitize = shared.sanitize;
+exports.cleanEmbedCode = shared.cleanEmbedCode;
@@ -830,7 +830,7 @@ var html = (function (html4) {
     sanitizeWithPolicy,
     unescapeEntities,
   };
-})(html4);
+})(typeof html4 !== 'undefined' ? html4 : require('./html4-defs'));
 
 var html_sanitize = html.sanitize;
 
@@ -840,3 +840,8 @@ if (typeof window !== 'undefined') {
   window.html = html;
   window.html_sanitize = html_sanitize;
 }
+
+// Also loadable as a CommonJS module so the sanitizer can run on the server.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = html;
+}
@@ -298,3 +298,8 @@ html4.ATTRIBS = {
   'vspace': 0,
   'width': 0,
 };
+
+// Also loadable as a CommonJS module so the sanitizer can run on the server.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = html4;
+}
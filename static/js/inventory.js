@@ -0,0 +1,155 @@
+'use strict';
+
+// The panel listing every embed in the pad, from the toolbar. Embeds can be jumped to from there,
+// and removed or turned back into their links a few at a time. Embeds are found in the pad as it
+// is drawn, and told apart by their line and their position among the embeds of that line, so
+// that the list can be drawn again while the pad changes without losing what was checked.
+
+const editor = require('./editor');
+const shared = require('./shared');
+
+// Returns {record, status} for an attribute value, status being "ok", "blocked" by the embed
+// policy (see policy.js) or "invalid" if there is nothing to embed.
+exports.describe = (value) => {
+  const record = shared.parseValue(value);
+  if (record == null) return {record, status: 'invalid'};
+  return {record, status: shared.checkPolicy(record) ? 'blocked' : 'ok'};
+};
+
+const statusLabels = {ok: 'statusOk', blocked: 'statusBlocked', invalid: 'statusInvalid'};
+
+const sourceLabel = (record) => {
+  if (record == null) return '';
+  if (record.type === 'link') return html10n.get('ep_embedmedia.linkCard');
+  if (record.type != null) return html10n.get(`ep_embedmedia.${record.type}File`);
+  return record.provider || html10n.get('ep_embedmedia.embedCode');
+};
+
+exports.init = (ace) => {
+  const $panel = $('#embedMediaInventory');
+  const $list = $('#embedMediaInventoryList tbody');
+  const $all = $('#embedMediaInventoryAll');
+  const innerDoc = editor.innerDocument();
+
+  // Returns {line, index, frame} for every embed in the pad, line counting from 0.
+  const findEmbeds = () => {
+    const embeds = [];
+    [...innerDoc.body.children].forEach((lineNode, line) => {
+      [...lineNode.querySelectorAll('.embedMedia')].forEach((frame, index) => {
+        embeds.push({line, index, frame});
+      });
+    });
+    return embeds;
+  };
+
+  const findFrame = ({line, index}) => {
+    const lineNode = innerDoc.body.children[line];
+    return lineNode ? lineNode.querySelectorAll('.embedMedia')[index] || null : null;
+  };
+
+  const checkedRows = () => $list.find('input:checked').closest('tr').get()
+      .map((row) => ({line: Number(row.dataset.line), index: Number(row.dataset.index)}));
+
+  const render = () => {
+    const checked = new Set(checkedRows().map(({line, index}) => `${line}:${index}`));
+    $list.empty();
+    const embeds = findEmbeds();
+    for (const {line, index, frame} of embeds) {
+      const {record, status} = exports.describe(shared.embedValue(frame));
+      const $row = $('<tr>').attr({'data-line': line, 'data-index': index});
+      $row.append($('<td>').append($('<input type="checkbox">')
+          .prop('checked', checked.has(`${line}:${index}`))));
+      $row.append($('<td>').text(line + 1));
+      $row.append($('<td>').text(sourceLabel(record)));
+      const title = (record && shared.embedTitle(record)) || '';
+      $row.append($('<td>').append($('<button type="button" class="jump">').text(title)));
+      $row.append($('<td>').addClass(`status ${status}`)
+          .text(html10n.get(`ep_embedmedia.${statusLabels[status]}`)));
+      $list.append($row);
+    }
+    $('#embedMediaInventoryEmpty').toggle(embeds.length === 0);
+    $('#embedMediaInventoryList').toggle(embeds.length > 0);
+    $all.prop('checked', embeds.length > 0 && checked.size === embeds.length);
+    $('#embedMediaInventoryRemove, #embedMediaInventoryUnembed')
+        .prop('disabled', !!clientVars.readonly || checked.size === 0);
+  };
+
+  // The list follows the pad while the panel is open.
+  let timer = null;
+  const observer = new innerDoc.defaultView.MutationObserver(() => {
+    clearTimeout(timer);
+    timer = setTimeout(render, 300);
+  });
+
+  const open = () => {
+    render();
+    observer.observe(innerDoc.body, {childList: true, subtree: true});
+    $panel.addClass('popup-show');
+  };
+
+  const close = () => {
+    observer.disconnect();
+    clearTimeout(timer);
+    $panel.removeClass('popup-show');
+  };
+
+  // Replaces the checked embeds with what replacement(value) returns, in one step of the undo
+  // history. Embeds are replaced from the end of the pad, so that the positions of the others
+  // don't move.
+  const replace = (replacement) => {
+    const frames = checkedRows().map(findFrame).filter((frame) => frame != null);
+    ace.callWithAce((ace) => {
+      const embeds = frames.map((frame) => ace.ace_getEmbedForNode(frame))
+          .filter((embed) => embed != null)
+          .sort((a, b) => b.start[0] - a.start[0] || b.start[1] - a.start[1]);
+      for (const {start, end, value} of embeds) {
+        const text = replacement(value);
+        if (text == null) continue;
+        ace.ace_replaceRange(start, end, text);
+        if (text !== '') {
+          ace.ace_performDocumentApplyAttributesToRange(
+              start, [start[0], start[1] + text.length], [['embedMedia', '']]);
+        }
+      }
+    }, 'embedMediaInventory', true);
+    $list.find('input:checked').prop('checked', false);
+    render();
+  };
+
+  $('#embedMediaInventoryButton').on('click', () => {
+    if ($panel.hasClass('popup-show')) close();
+    else open();
+  });
+
+  $('#closeEmbedMediaInventory').on('click', close);
+
+  $list.on('change', 'input', () => {
+    const count = $list.find('input').length;
+    const checked = $list.find('input:checked').length;
+    $all.prop('checked', count > 0 && checked === count);
+    $('#embedMediaInventoryRemove, #embedMediaInventoryUnembed')
+        .prop('disabled', !!clientVars.readonly || checked === 0);
+  });
+
+  $all.on('change', () => {
+    $list.find('input').prop('checked', $all.prop('checked')).first().trigger('change');
+  });
+
+  // Selects the embed in the pad, from where it can be edited.
+  $list.on('click', '.jump', (e) => {
+    const row = e.currentTarget.closest('tr');
+    const frame = findFrame({line: Number(row.dataset.line), index: Number(row.dataset.index)});
+    if (frame == null) return;
+    frame.scrollIntoView({block: 'center'});
+    ace.callWithAce((ace) => {
+      const embed = ace.ace_getEmbedForNode(frame);
+      if (embed) ace.ace_performSelectionChange(embed.start, embed.end, false);
+    }, 'embedMediaInventory');
+    ace.focus();
+  });
+
+  $('#embedMediaInventoryRemove').on('click', () => replace(() => ''));
+
+  // Embeds with nothing to link to are left as they are.
+  $('#embedMediaInventoryUnembed').on('click', () => replace((value) => shared.valueUrl(value)));
+};
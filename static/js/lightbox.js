@@ -0,0 +1,45 @@
+'use strict';
+
+// Clicking an image in the pad shows it at full size over the page, until it is clicked again or
+// Escape is pressed. Double clicks still open the modal (see modal.js), so a click only zooms once
+// it is clear that no second one follows.
+
+const editor = require('./editor');
+
+const doubleClickDelay = 300;
+
+// Shows an image of the pad, see init().
+let show = () => {};
+
+exports.open = (img) => show(img);
+
+exports.init = () => {
+  const $innerDoc = $(editor.innerDocument());
+  const $lightbox = $('<div>')
+      .attr({id: 'embedMediaLightbox', class: 'embedMediaLightbox', role: 'dialog'})
+      .attr('aria-modal', 'true')
+      .append($('<img>'))
+      .hide()
+      .appendTo('body');
+  let timer = null;
+
+  const close = () => {
+    $lightbox.hide().find('img').attr({src: '', alt: ''});
+  };
+
+  show = (img) => {
+    $lightbox.attr('aria-label', img.alt).find('img').attr({src: img.src, alt: img.alt});
+    $lightbox.show();
+  };
+
+  $innerDoc.on('click', '.embedMedia img.image', (e) => {
+    clearTimeout(timer);
+    if (e.detail > 1) return;
+    timer = setTimeout(() => show(e.currentTarget), doubleClickDelay);
+  });
+  $innerDoc.on('dblclick', '.embedMedia', () => clearTimeout(timer));
+  $lightbox.on('click', close);
+  $(document).add($innerDoc).on('keydown', (e) => {
+    if (e.key === 'Escape' && $lightbox.is(':visible')) close();
+  });
+};
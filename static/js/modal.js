@@ -0,0 +1,333 @@
+'use strict';
+
+// The modal embeds are inserted and edited with. The input is checked while it is typed, with the
+// same cleaning logic the pad renders embeds with, and a preview is shown as soon as it can be
+// embedded.
+
+const attribute = require('./attribute');
+const editor = require('./editor');
+const shared = require('./shared');
+const youtube = require('./youtube');
+
+// Whether the server can tell links to files apart (see probe.js) and make cards for other links
+// (see cards.js), and what may be uploaded to it ({maxBytes, types}, see uploads.js) or null.
+let probeEnabled = false;
+let cardsEnabled = false;
+let uploadSettings = null;
+
+exports.configure = ({probe = false, cards = false, uploads = null} = {}) => {
+  probeEnabled = !!probe;
+  cardsEnabled = !!cards;
+  uploadSettings = uploads;
+};
+
+// Addresses of the pad's uploads, relative to the pad's own. Files are linked to through the pad's
+// read-only id, the links are seen by everyone who can read the pad.
+const padUrl = (path, padId = clientVars.padId) => {
+  const url = `${encodeURIComponent(padId)}/ep_embedmedia/${path}`;
+  return new URL(url, window.location.href).href;
+};
+
+// Stores a file on the server and returns the link it is embedded with.
+const upload = async (file) => {
+  const res = await fetch(padUrl('upload'), {
+    method: 'POST',
+    headers: {'content-type': file.type},
+    body: file,
+  });
+  if (!res.ok) throw new Error(`upload failed with ${res.status}`);
+  const {name} = await res.json();
+  return padUrl(`media/${name}`, clientVars.readOnlyId);
+};
+
+// Responses of the server's oEmbed proxy, file probe and link cards by route and link, so that
+// typing doesn't ask them over and over.
+const responses = new Map();
+
+const fetchInfo = (route, url) => {
+  const key = `${route} ${url}`;
+  if (!responses.has(key)) {
+    responses.set(key, (async () => {
+      const res = await fetch(`../ep_embedmedia/${route}?url=${encodeURIComponent(url)}`);
+      return res.ok ? await res.json() : null;
+    })().catch((err) => {
+      console.warn(`ep_embedmedia: could not resolve ${url}: ${err.message}`);
+      responses.delete(key);
+      return null;
+    }));
+  }
+  return responses.get(key);
+};
+
+// Returns the message for an error found by check() or shared.checkRecord().
+exports.errorMessage = ({error, violation}) => {
+  if (error !== 'blocked') return html10n.get(`ep_embedmedia.${error}`);
+  if (violation.reason === 'host') {
+    return html10n.get('ep_embedmedia.blockedHost', {host: violation.host});
+  }
+  return html10n.get('ep_embedmedia.blockedScheme');
+};
+
+// Whether a record is a document that can be opened at a page.
+const hasPages = (record) => record != null && (record.type === 'pdf' ||
+    (record.provider === 'googledocs' && /\/presentation\//i.test(record.url)));
+
+// Returns {record, provider, error, violation} for what was typed into the modal. error is null if
+// the record can be embedded. Links are looked up through the server's oEmbed proxy, which knows
+// the title, thumbnail and real aspect ratio of the media on many sites, and how to embed links no
+// provider knows. Links it doesn't know either may still be audio, video, image or PDF files, or
+// else web pages shown as a card. Images need an alternative text. Every embed is given a title,
+// its accessible name: the one typed, the media's own or else the site's name.
+const check = async (input) => {
+  const {code, title, caption, start, size, ratio, align, poster, captions, captionsLang, alt, page,
+    previous} = input;
+  const {record, error} = shared.checkCode(code);
+  if (record == null) return {record, error};
+  if (start !== '') {
+    record.start = youtube.parseTime(start);
+    if (record.start == null) return {record, error: 'invalidStart'};
+  }
+  for (const name of shared.keptOptions) {
+    if (previous && previous[name] != null) record[name] = previous[name];
+  }
+  // The form shows the kept options too, and what is chosen there replaces them. A size preset
+  // replaces the size the embed was resized to.
+  if (size !== '') {
+    record.size = size;
+    delete record.width;
+    delete record.height;
+  } else {
+    delete record.size;
+  }
+  if (align !== '') record.align = align;
+  else delete record.align;
+  let provider = record.provider || (record.html ? html10n.get('ep_embedmedia.embedCode') : null);
+  if (record.url != null && record.type == null) {
+    const oembed = await fetchInfo('oembed', record.url);
+    if (oembed != null) {
+      const {title, thumbnail, width, height, html} = oembed;
+      Object.assign(record, {title, thumbnail});
+      if (width > 0 && height > 0) record.ratio = Math.round(width / height * 1000) / 1000;
+      if (record.provider == null) record.html = html;
+      provider = oembed.provider || provider;
+    } else if (record.provider == null && probeEnabled) {
+      const file = await fetchInfo('probe', record.url);
+      if (file != null) record.type = file.type;
+    }
+    if (record.provider == null && record.type == null && !record.html && cardsEnabled) {
+      const card = await fetchInfo('card', record.url);
+      if (card != null) {
+        const {title, description, site, image} = card;
+        Object.assign(record, {type: 'link', title, description, site, thumbnail: image});
+      }
+    }
+  }
+  if (record.type === 'link') provider = html10n.get('ep_embedmedia.linkCard');
+  else if (record.type != null) provider = html10n.get(`ep_embedmedia.${record.type}File`);
+  if (record.type === 'image') {
+    if (alt !== '') record.alt = alt;
+    if (!record.alt) return {record, error: 'missingAlt'};
+  } else if (record.type === 'video' || record.type === 'audio') {
+    if (poster !== '' && record.type === 'video') {
+      if (!shared.isLink(poster)) return {record, error: 'invalidPoster'};
+      record.poster = poster;
+    }
+    if (captions !== '') {
+      if (!shared.isLink(captions)) return {record, error: 'invalidCaptions'};
+      record.captions = captions;
+    }
+    if (captionsLang !== '') {
+      if (!shared.isLanguage(captionsLang)) return {record, error: 'invalidCaptionsLang'};
+      record.captionsLang = captionsLang;
+    }
+  }
+  if (page !== '' && hasPages(record)) {
+    record.page = Number(page);
+    if (!(Number.isInteger(record.page) && record.page > 0)) return {record, error: 'invalidPage'};
+  }
+  if (ratio !== '') record.ratio = Number(ratio);
+  if (title !== '') record.title = title;
+  if (!record.title && record.type !== 'image') record.title = shared.embedTitle(record);
+  if (caption !== '') record.caption = caption;
+  else delete record.caption;
+  return {record, provider, ...shared.checkRecord(record)};
+};
+
+exports.init = (ace) => {
+  const $modal = $('#embedMediaModal');
+  const $src = $('#embedMediaSrc');
+  const $title = $('#embedMediaTitle');
+  const $caption = $('#embedMediaCaption');
+  const $start = $('#embedMediaStart');
+  const $size = $('#embedMediaSize');
+  const $ratio = $('#embedMediaRatio');
+  const $align = $('#embedMediaAlign');
+  const $poster = $('#embedMediaPoster');
+  const $captions = $('#embedMediaCaptions');
+  const $captionsLang = $('#embedMediaCaptionsLang');
+  const $alt = $('#embedMediaAlt');
+  const $page = $('#embedMediaPage');
+  const $insert = $('#doEmbedMedia');
+  const $preview = $('#embedMediaPreview');
+  const $file = $('#embedMediaFile');
+  const $uploadStatus = $('#embedMediaUploadStatus');
+
+  // The embed being edited ({start, end, value}), or null when inserting a new one.
+  let editing = null;
+  // The latest check, only its result is shown.
+  let checking = null;
+  let timer = null;
+
+  const read = () => ({
+    code: String($src.val()),
+    title: String($title.val()).trim(),
+    caption: String($caption.val()).trim(),
+    start: String($start.val()).trim(),
+    size: String($size.val()),
+    ratio: String($ratio.val()),
+    align: String($align.val()),
+    poster: String($poster.val()).trim(),
+    captions: String($captions.val()).trim(),
+    captionsLang: String($captionsLang.val()).trim(),
+    alt: String($alt.val()).trim(),
+    page: String($page.val()).trim(),
+    previous: editing && shared.parseValue(editing.value),
+  });
+
+  const show = ({record, provider, error, violation}) => {
+    const valid = record != null && error == null;
+    $insert.prop('disabled', !valid);
+    $('#embedMediaError').text(
+        error == null || error === 'empty' ? '' : exports.errorMessage({error, violation}));
+    $('#embedMediaProvider').text(
+        valid && provider ? html10n.get('ep_embedmedia.provider', {provider}) : '');
+    // Options of audio and video files are kept while they are being corrected.
+    const type = record && record.type;
+    $('#embedMediaFileOptions').toggle(type === 'video' || type === 'audio');
+    $('#embedMediaPosterOption').toggle(type === 'video');
+    $('#embedMediaImageOptions').toggle(type === 'image');
+    $('#embedMediaPageOption').toggle(hasPages(record));
+    $title.attr('placeholder', record && record.title || '');
+    // Reloading the player on every key press would restart it, titles of players are left out.
+    const previewed = valid && type !== 'link' ? {...record, title: null} : record;
+    const preview = valid ? shared.renderEmbed(previewed) : '';
+    if ($preview.data('markup') !== preview) $preview.data('markup', preview).html(preview);
+  };
+
+  const update = () => {
+    clearTimeout(timer);
+    const current = checking = check(read());
+    current.then((result) => {
+      if (current === checking) show(result);
+    });
+    return current;
+  };
+
+  // Opens the modal, prefilled with the embed at the selection if there is one.
+  const open = () => {
+    const embed = ace.callWithAce((ace) => ace.ace_getEmbedAtSelection(), 'embedMedia');
+    editing = embed || null;
+    const record = editing && shared.parseValue(editing.value);
+    $src.val(record ? record.url || record.html || '' : '');
+    $title.val(record && record.title || '');
+    $caption.val(record && record.caption || '');
+    $start.val(record && record.start != null ? record.start : '');
+    $size.val(record && record.size || '');
+    // Ratios reported by oEmbed show as the preset they match, or as automatic.
+    $ratio.val(record && record.ratio ? String(record.ratio) : '');
+    if ($ratio.val() == null) $ratio.val('');
+    $align.val(record && record.align || '');
+    $poster.val(record && record.poster || '');
+    $captions.val(record && record.captions || '');
+    $captionsLang.val(record && record.captionsLang || '');
+    $alt.val(record && record.alt || '');
+    $page.val(record && record.page || '');
+    $insert.val(html10n.get(editing ? 'ep_embedmedia.update' : 'ep_embedmedia.insert'));
+    $modal.addClass('popup-show');
+    update();
+  };
+
+  const close = () => {
+    clearTimeout(timer);
+    checking = null;
+    $uploadStatus.text('');
+    $modal.removeClass('popup-show');
+    $preview.data('markup', '').empty();
+  };
+
+  $src.add($title).add($caption).add($start).add($size).add($ratio).add($align).add($poster)
+      .add($captions).add($captionsLang).add($alt).add($page)
+      .on('input change', () => {
+        $insert.prop('disabled', true);
+        clearTimeout(timer);
+        timer = setTimeout(update, 300);
+      });
+
+  if (uploadSettings != null) {
+    $('#embedMediaUpload').show();
+    $file.attr('accept', uploadSettings.types.join(','));
+  }
+
+  $file.on('change', async () => {
+    const file = $file[0].files[0];
+    $file.val('');
+    if (file == null) return;
+    if (!uploadSettings.types.includes(file.type)) {
+      $uploadStatus.text(html10n.get('ep_embedmedia.uploadType'));
+      return;
+    }
+    if (file.size > uploadSettings.maxBytes) {
+      const size = Math.floor(uploadSettings.maxBytes / 1024 / 1024);
+      $uploadStatus.text(html10n.get('ep_embedmedia.uploadTooLarge', {size}));
+      return;
+    }
+    $uploadStatus.text(html10n.get('ep_embedmedia.uploading'));
+    $insert.prop('disabled', true);
+    try {
+      $src.val(await upload(file));
+      $uploadStatus.text('');
+    } catch (err) {
+      console.warn(`ep_embedmedia: ${err.message}`);
+      $uploadStatus.text(html10n.get('ep_embedmedia.uploadFailed'));
+    }
+    update();
+  });
+
+  $insert.on('click', async () => {
+    const {record, error} = await update();
+    if (record == null || error != null) return;
+    // Sent as the server checks it, see validate.js.
+    const value = shared.cleanValue(attribute.stringify(record));
+    const edited = editing;
+    const applied = ace.callWithAce((ace) => {
+      if (edited) {
+        // Other authors may have moved, changed or removed the embed since the modal opened.
+        const embed = ace.ace_getEmbedAt(edited.start);
+        if (!embed || embed.value !== edited.value) return false;
+        ace.ace_performDocumentApplyAttributesToRange(
+            embed.start, embed.end, [['embedMedia', value]]);
+        return true;
+      }
+      const rep = ace.ace_getRep();
+      ace.ace_replaceRange(rep.selStart, rep.selEnd, 'E');
+      ace.ace_performSelectionChange(
+          [rep.selStart[0], rep.selStart[1] - 1], rep.selStart, false);
+      ace.ace_performDocumentApplyAttributesToRange(
+          rep.selStart, rep.selEnd,
+          [['embedMedia', value]]);
+      return true;
+    }, 'embedMedia');
+    if (applied) close();
+    else $('#embedMediaError').text(html10n.get('ep_embedmedia.changedMeanwhile'));
+  });
+
+  $('#insertEmbedMedia').on('click', () => {
+    if ($modal.hasClass('popup-show')) close();
+    else open();
+  });
+
+  // Players swallow clicks, but the frame around them and placeholders don't.
+  $(editor.innerDocument()).on('dblclick', '.embedMedia', () => setTimeout(open));
+
+  $('#cancelEmbedMedia').on('click', close);
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+// Page navigation for PDF documents shown in the pad. The browser's viewer has its own, but it is
+// easy to miss in a small player and doesn't exist on every browser. Documents open at the page
+// chosen in the modal; pages turned here aren't saved.
+
+const editor = require('./editor');
+const shared = require('./shared');
+
+// Returns the controls shown over the player of a record, if it has pages.
+exports.renderControls = (record) => {
+  if (record == null || record.type !== 'pdf') return '';
+  const label = (key) => shared.escapeHtml(html10n.get(`ep_embedmedia.${key}`));
+  return `<span class='pages' data-url='${shared.escapeHtml(record.url)}'>` +
+      `<button type='button' class='previous' title='${label('previousPage')}'>‹</button>` +
+      `<input type='number' class='page' min='1' value='${record.page || 1}' ` +
+      `aria-label='${label('page')}'>` +
+      `<button type='button' class='next' title='${label('nextPage')}'>›</button></span>`;
+};
+
+exports.init = () => {
+  const $innerDoc = $(editor.innerDocument());
+
+  const show = (controls, page) => {
+    const input = controls.querySelector('.page');
+    input.value = String(page);
+    const object = controls.parentNode.querySelector('object');
+    if (object == null) return;
+    // Viewers only read the page when they load the document.
+    const replacement = object.cloneNode(false);
+    replacement.data = shared.pdfPageUrl(controls.dataset.url, page);
+    object.replaceWith(replacement);
+  };
+
+  $innerDoc.on('click', '.embedMediaPlayer .pages button', (e) => {
+    const controls = e.currentTarget.parentNode;
+    const page = Number(controls.querySelector('.page').value) || 1;
+    show(controls, Math.max(1, page + (e.currentTarget.classList.contains('next') ? 1 : -1)));
+  });
+
+  $innerDoc.on('change', '.embedMediaPlayer .pages .page', (e) => {
+    show(e.currentTarget.parentNode, Math.max(1, Math.round(Number(e.currentTarget.value)) || 1));
+  });
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+// Players are kept out of the pad's lines. The editor redraws a line, and so reloads every iframe
+// in it, whenever the line changes, and pads with many embeds load every player up front. Lines
+// only hold an empty slot the size of the player (see renderSlot()); the players themselves live in
+// a layer next to the editor's body, on top of their slot, and are only loaded while their slot is
+// on screen or close to it. Once loaded a player stays where it is when its line is redrawn, so
+// typing next to a video doesn't restart it.
+//
+// Slots are told apart by their value and their position among the slots with the same value, so
+// that a redrawn slot gets the player of the slot it replaces.
+
+const editor = require('./editor');
+const shared = require('./shared');
+
+// Slots closer to the screen than this get their player, the others lose it.
+const rootMargin = '100% 0px';
+
+let enabled = false;
+
+// Called before the pad's content is drawn, in pads only: the timeslider, which draws lines the
+// same way but doesn't start the layer, keeps the players in the lines.
+exports.enable = () => { enabled = true; };
+
+exports.enabled = () => enabled;
+
+// Returns the markup a line holds in place of the player of a record.
+exports.renderSlot = (record) => {
+  // Slots that keep an aspect ratio are sized by the style sheet, see ace.css.
+  if (shared.frameStyles(record).player) return "<span class='slot'></span>";
+  const {width, height} = shared.playerSize(record);
+  return `<span class='slot' style='width:${width}px;height:${height}px'></span>`;
+};
+
+// Loads the player of an embed if it isn't, and returns its .embedMediaPlayer element, or null if
+// it has none, see init().
+let showPlayer = () => null;
+
+// frame is the .embedMedia element of the embed in the pad.
+exports.show = (frame) => showPlayer(frame);
+
+// Moves the keyboard focus to the player of an embed.
+exports.focus = (frame) => {
+  const element = exports.show(frame);
+  const target = element && element.querySelector('iframe, object, embed, video, audio');
+  if (target != null) target.focus();
+};
+
+// Returns the .embedMediaPlayer element of the loaded player of a slot key, or null, see init().
+let findPlayer = () => null;
+
+exports.find = (key) => findPlayer(key);
+
+// render(value) returns the markup of the player of an embed. loaded(element) is called with every
+// .embedMediaPlayer element that is added, which holds the key of its slot as data-key.
+exports.init = ({render = shared.renderValue, loaded = () => {}} = {}) => {
+  const innerDoc = editor.innerDocument();
+  const innerWin = innerDoc.defaultView;
+  const layer = innerDoc.createElement('div');
+  layer.className = 'embedMediaPlayers';
+  // Outside of the body, which is the editor's: everything in there is taken for a line.
+  innerDoc.documentElement.appendChild(layer);
+
+  // Loaded players by slot key, as {element, slot}.
+  const players = new Map();
+  // Key of every slot in the pad.
+  const keys = new Map();
+
+  const place = ({element, slot}) => {
+    const rect = slot.getBoundingClientRect();
+    Object.assign(element.style, {
+      top: `${rect.top + innerWin.scrollY}px`,
+      left: `${rect.left + innerWin.scrollX}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+    });
+  };
+
+  const load = (key, slot) => {
+    const element = innerDoc.createElement('div');
+    element.className = 'embedMediaPlayer';
+    element.dataset.key = key;
+    element.innerHTML = render(key.slice(key.indexOf(':') + 1));
+    layer.appendChild(element);
+    const player = {element, slot};
+    players.set(key, player);
+    place(player);
+    loaded(element);
+  };
+
+  const unload = (key) => {
+    players.get(key).element.remove();
+    players.delete(key);
+  };
+
+  const visibility = new innerWin.IntersectionObserver((entries) => {
+    for (const {target, isIntersecting} of entries) {
+      const key = keys.get(target);
+      if (key == null) continue;
+      const player = players.get(key);
+      if (isIntersecting && player == null) load(key, target);
+      // A slot that was replaced by a redrawn one reports leaving the screen too.
+      else if (!isIntersecting && player != null && player.slot === target) unload(key);
+    }
+  }, {rootMargin});
+
+  const sizes = new innerWin.ResizeObserver(() => {
+    for (const player of players.values()) place(player);
+  });
+
+  // Matches the slots in the pad with the loaded players, after lines were drawn or redrawn.
+  const update = () => {
+    const counts = new Map();
+    const current = new Map();
+    for (const slot of innerDoc.querySelectorAll('.embedMedia .slot')) {
+      const value = shared.embedValue(slot.closest('.embedMedia'));
+      if (value == null) continue;
+      const count = counts.get(value) || 0;
+      counts.set(value, count + 1);
+      current.set(slot, shared.slotKey(value, count));
+    }
+    for (const slot of keys.keys()) {
+      if (current.has(slot)) continue;
+      visibility.unobserve(slot);
+      sizes.unobserve(slot);
+    }
+    for (const [slot, key] of current) {
+      if (!keys.has(slot)) {
+        visibility.observe(slot);
+        sizes.observe(slot);
+      }
+      const player = players.get(key);
+      if (player != null) player.slot = slot;
+    }
+    keys.clear();
+    for (const [slot, key] of current) keys.set(slot, key);
+    const loaded = new Set(current.values());
+    for (const key of [...players.keys()]) {
+      if (!loaded.has(key)) unload(key);
+    }
+    for (const player of players.values()) place(player);
+  };
+
+  showPlayer = (frame) => {
+    const slot = frame.querySelector('.slot');
+    const key = keys.get(slot);
+    if (key == null) return null;
+    slot.scrollIntoView({block: 'nearest'});
+    if (!players.has(key)) load(key, slot);
+    return players.get(key).element;
+  };
+
+  findPlayer = (key) => {
+    const player = players.get(key);
+    return player == null ? null : player.element;
+  };
+
+  let scheduled = false;
+  const scheduleUpdate = () => {
+    if (scheduled) return;
+    scheduled = true;
+    innerWin.requestAnimationFrame(() => {
+      scheduled = false;
+      update();
+    });
+  };
+  new innerWin.MutationObserver(scheduleUpdate)
+      .observe(innerDoc.body, {childList: true, subtree: true});
+  new innerWin.ResizeObserver(scheduleUpdate).observe(innerDoc.body);
+  update();
+};
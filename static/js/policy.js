@@ -0,0 +1,83 @@
+'use strict';
+
+// Which addresses embeds may load, as configured in settings.json:
+//
+//   "ep_embedmedia": {
+//     "allowedSchemes": ["https"],
+//     "allowedHosts": ["*.youtube.com", "vimeo.com", "player.vimeo.com"],
+//     "blockedHosts": ["ads.youtube.com"],
+//     "iframe": {
+//       "sandbox": "allow-scripts allow-same-origin allow-popups allow-presentation",
+//       "allow": "autoplay; encrypted-media; fullscreen; picture-in-picture",
+//       "referrerpolicy": "strict-origin-when-cross-origin"
+//     }
+//   }
+//
+// "example.com" matches that host only, "*.example.com" matches it and all of its subdomains.
+// Blocked hosts win over allowed ones, and an empty or missing allowedHosts allows every host.
+// The iframe attributes are added to every rendered iframe; null leaves an attribute out.
+// Shared by the client and the server, which configure it from the same settings.
+
+const defaults = {
+  allowedSchemes: ['https', 'http'],
+  allowedHosts: [],
+  blockedHosts: [],
+  iframe: {
+    sandbox: 'allow-scripts allow-same-origin allow-popups allow-popups-to-escape-sandbox ' +
+        'allow-presentation allow-forms',
+    allow: 'accelerometer; autoplay; clipboard-write; encrypted-media; fullscreen; ' +
+        'gyroscope; picture-in-picture; web-share',
+    referrerpolicy: 'strict-origin-when-cross-origin',
+  },
+};
+
+let config = defaults;
+
+const lowerCase = (list) => [].concat(list || []).map((s) => String(s).toLowerCase());
+
+exports.configure = ({allowedSchemes, allowedHosts, blockedHosts, iframe = {}} = {}) => {
+  config = {
+    allowedSchemes: allowedSchemes == null
+      ? defaults.allowedSchemes : lowerCase(allowedSchemes).map((s) => s.replace(/:$/, '')),
+    allowedHosts: lowerCase(allowedHosts),
+    blockedHosts: lowerCase(blockedHosts),
+    iframe: {},
+  };
+  for (const name of Object.keys(defaults.iframe)) {
+    config.iframe[name] = iframe[name] === undefined ? defaults.iframe[name] : iframe[name];
+  }
+};
+
+// Returns the [name, value] pairs of the attributes every rendered iframe gets.
+exports.iframeAttribs = () => Object.entries(config.iframe)
+    .filter(([, value]) => value != null && value !== '')
+    .map(([name, value]) => [name, String(value)]);
+
+// Whether a (lower case) host matches a host pattern, see above.
+exports.matchesHost = (host, pattern) => {
+  if (!pattern.startsWith('*.')) return host === pattern;
+  const domain = pattern.slice(2);
+  return host === domain || host.endsWith(`.${domain}`);
+};
+
+// Returns null if an embed may load the address, or {reason, url, host} telling why it may not:
+// reason is "scheme" for a disallowed (or missing) scheme and "host" for a disallowed host.
+// Protocol-relative addresses ("//example.com/") are treated as https.
+exports.check = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(String(url).replace(/^\/\//, 'https://'));
+  } catch (err) {
+    return {reason: 'scheme', url, host: null};
+  }
+  const host = parsed.hostname.toLowerCase();
+  if (!config.allowedSchemes.includes(parsed.protocol.replace(/:$/, ''))) {
+    return {reason: 'scheme', url, host};
+  }
+  if (config.blockedHosts.some((pattern) => exports.matchesHost(host, pattern)) ||
+      (config.allowedHosts.length > 0 &&
+       !config.allowedHosts.some((pattern) => exports.matchesHost(host, pattern)))) {
+    return {reason: 'host', url, host};
+  }
+  return null;
+};
@@ -0,0 +1,258 @@
+'use strict';
+
+// Registry of the sites a link can be embedded from. Shared by the client and the server, so
+// other plugins can add providers from either side with:
+//
+//   require('ep_embedmedia/static/js/providers').register({
+//     name: 'example',
+//     // Regular expressions (or functions returning a truthy match) tested against the link.
+//     match: [/^https:\/\/(?:www\.)?example\.com\/v\/(\w+)/i],
+//     // Turns the first match into the player to embed, or returns null to reject the link. id
+//     // is stored with the embed; options hold what was chosen for the embed, e.g. {start: 90}
+//     // or {page: 3}.
+//     embed: (match, url, options) => ({
+//       src: `https://example.com/embed/${match[1]}`, id: match[1], width: 560,
+//     }),
+//   });
+//
+// Providers registered later take precedence, so a plugin can override a built-in one by
+// registering a provider with the same name; unregistering it brings the built-in one back.
+
+const youtube = require('./youtube');
+
+const providers = [];
+
+const defaultSize = {width: 420, height: 315};
+
+const testMatcher = (matcher, url) => (
+  typeof matcher === 'function' ? matcher(url) : matcher.exec(url));
+
+exports.register = (provider) => {
+  if (!provider || typeof provider.name !== 'string' || typeof provider.embed !== 'function') {
+    throw new TypeError('an embed provider needs a name and an embed function');
+  }
+  providers.unshift(provider);
+};
+
+exports.unregister = (name) => {
+  const i = providers.findIndex((provider) => provider.name === name);
+  if (i !== -1) providers.splice(i, 1);
+};
+
+exports.get = (name) => providers.find((provider) => provider.name === name) || null;
+
+exports.list = () => [...new Set(providers.map((provider) => provider.name))];
+
+// Returns {provider, src, width, height, id} for the first provider that can embed the link, or
+// null. options are passed on to the provider.
+exports.find = (url, options = {}) => {
+  for (const provider of providers) {
+    for (const matcher of [].concat(provider.match || [])) {
+      const match = testMatcher(matcher, url);
+      if (!match) continue;
+      const player = provider.embed(match, url, options);
+      if (player && player.src) return {...defaultSize, ...player, provider: provider.name};
+    }
+  }
+  return null;
+};
+
+// Builds a provider from a plain object, as found in the ep_embedmedia.providers setting:
+//
+//   {"name": "example", "match": ["^https://example\\.com/v/(\\w+)"],
+//    "src": "https://example.com/embed/$1", "width": 560, "height": 315}
+//
+// $1, $2, ... in src are replaced by the URI-encoded capture groups of the matching expression.
+exports.fromDefinition = ({name, match, src, width, height}) => {
+  if (typeof name !== 'string' || typeof src !== 'string') {
+    throw new TypeError('an embed provider definition needs a name and a src template');
+  }
+  return {
+    name,
+    match: [].concat(match || []).map((re) => new RegExp(re, 'i')),
+    embed: (m) => ({
+      src: src.replace(/\$(\d)/g, (s, i) => encodeURIComponent(m[i] || '')),
+      ...(width ? {width} : {}),
+      ...(height ? {height} : {}),
+    }),
+  };
+};
+
+const parseUrl = (url) => {
+  try {
+    return new URL(url);
+  } catch (err) {
+    return null;
+  }
+};
+
+const decode = (s) => {
+  try {
+    return decodeURIComponent(s);
+  } catch (err) {
+    return s;
+  }
+};
+
+// The page an embed is shown on, for players that insist on knowing it.
+const embeddingHost = () => (
+  typeof location !== 'undefined' && location.hostname ? location.hostname : 'localhost');
+
+const builtins = [
+  {
+    name: 'youtube',
+    match: [youtube.parse],
+    embed: (video, url, {start}) => ({
+      src: youtube.embedSrc({...video, start: start == null ? video.start : start}),
+      id: video.id || video.list,
+      start: video.start,
+      width: video.shorts ? 315 : 420,
+      height: video.shorts ? 560 : 315,
+    }),
+  },
+  {
+    name: 'vimeo',
+    match: [/^https?:\/\/(?:www\.|player\.)?vimeo\.com\/(?:.*\/)?(\d+)/i],
+    embed: (m, url, {start}) => ({
+      src: `https://player.vimeo.com/video/${m[1]}?color=ffffff${start ? `#t=${start}s` : ''}`,
+      id: m[1],
+      width: 420,
+      height: 236,
+    }),
+  },
+  {
+    name: 'dailymotion',
+    match: [
+      /^https?:\/\/(?:www\.)?dailymotion\.com\/video\/([a-z0-9]+)/i,
+      /^https?:\/\/dai\.ly\/([a-z0-9]+)/i,
+    ],
+    embed: (m, url, {start}) => ({
+      src: `https://www.dailymotion.com/embed/video/${m[1]}${start ? `?start=${start}` : ''}`,
+      id: m[1],
+      width: 480,
+      height: 270,
+    }),
+  },
+  {
+    name: 'soundcloud',
+    match: [/^https?:\/\/(?:www\.|m\.)?soundcloud\.com\/[\w-]+\/[\w-]+/i],
+    embed: (m) => ({
+      src: `https://w.soundcloud.com/player/?url=${encodeURIComponent(m[0])}`,
+      width: 480,
+      height: 166,
+    }),
+  },
+  {
+    name: 'spotify',
+    match: [new RegExp('^https?://open\\.spotify\\.com/(?:intl-[\\w-]+/)?' +
+                       '(track|album|playlist|episode|show|artist)/(\\w+)', 'i')],
+    embed: (m) => ({
+      src: `https://open.spotify.com/embed/${m[1].toLowerCase()}/${m[2]}`,
+      id: `${m[1].toLowerCase()}/${m[2]}`,
+      width: 480,
+      height: m[1].toLowerCase() === 'track' || m[1].toLowerCase() === 'episode' ? 152 : 352,
+    }),
+  },
+  {
+    name: 'twitch',
+    match: [
+      /^https?:\/\/clips\.twitch\.tv\/([\w-]+)/i,
+      /^https?:\/\/(?:www\.)?twitch\.tv\/[\w]+\/clip\/([\w-]+)/i,
+      /^https?:\/\/(?:www\.)?twitch\.tv\/videos\/(\d+)/i,
+      /^https?:\/\/(?:www\.)?twitch\.tv\/(\w+)\/?(?:[?#].*)?$/i,
+    ],
+    embed: (m) => {
+      const parent = `parent=${encodeURIComponent(embeddingHost())}`;
+      const id = encodeURIComponent(m[1]);
+      let src;
+      if (/clip/i.test(m[0])) src = `https://clips.twitch.tv/embed?clip=${id}&${parent}`;
+      else if (/\/videos\//i.test(m[0])) src = `https://player.twitch.tv/?video=${id}&${parent}`;
+      else src = `https://player.twitch.tv/?channel=${id}&${parent}`;
+      return {src, id: m[1], width: 480, height: 270};
+    },
+  },
+  {
+    // PeerTube is federated, so any host using its URL layout is accepted.
+    name: 'peertube',
+    match: [/^https:\/\/([a-z0-9.-]+(?::\d+)?)\/(?:w|videos\/watch|videos\/embed)\/([\w-]+)\/?$/i],
+    embed: (m) => ({src: `https://${m[1]}/videos/embed/${m[2]}`, id: m[2], width: 560, height: 315}),
+  },
+  {
+    name: 'loom',
+    match: [/^https?:\/\/(?:www\.)?loom\.com\/(?:share|embed)\/([a-f0-9]+)/i],
+    embed: (m) => ({src: `https://www.loom.com/embed/${m[1]}`, id: m[1], width: 480, height: 270}),
+  },
+  {
+    name: 'googlemaps',
+    match: [
+      /^https?:\/\/(?:www\.|maps\.)?google\.(?:com|[a-z]{2,3}|co\.[a-z]{2}|com\.[a-z]{2})\/maps\b/i,
+    ],
+    embed: (m, url) => {
+      const parsed = parseUrl(url);
+      if (!parsed) return null;
+      if (parsed.pathname.startsWith('/maps/embed')) {
+        const pb = parsed.searchParams.get('pb');
+        if (!pb) return null;
+        return {
+          src: `https://www.google.com/maps/embed?pb=${encodeURIComponent(pb)}`,
+          width: 480,
+          height: 360,
+        };
+      }
+      const place = /\/maps\/(?:place|search)\/([^/@]+)/.exec(parsed.pathname);
+      const at = /@(-?[\d.]+),(-?[\d.]+)(?:,([\d.]+)z)?/.exec(parsed.pathname);
+      const q = parsed.searchParams.get('q') ||
+          (place && decode(place[1]).replace(/\+/g, ' ')) ||
+          (at && `${at[1]},${at[2]}`);
+      if (!q) return null;
+      const zoom = at && at[3] ? `&z=${Math.round(Number(at[3]))}` : '';
+      return {
+        src: `https://maps.google.com/maps?q=${encodeURIComponent(q)}${zoom}&output=embed`,
+        width: 480,
+        height: 360,
+      };
+    },
+  },
+  {
+    name: 'figma',
+    match: [/^https:\/\/(?:www\.)?figma\.com\/(?:file|proto|design|board|slides)\/[\w-]+/i],
+    embed: (m, url) => ({
+      src: `https://www.figma.com/embed?embed_host=etherpad&url=${encodeURIComponent(url)}`,
+      width: 560,
+      height: 420,
+    }),
+  },
+  {
+    // Documents, presentations and spreadsheets shared publicly or with the pad's readers.
+    name: 'googledocs',
+    match: [/^https:\/\/docs\.google\.com\/(document|presentation|spreadsheets)\/d\/([\w-]+)/i],
+    embed: (m, url, {page}) => {
+      const kind = m[1].toLowerCase();
+      const base = `https://docs.google.com/${kind}/d/${m[2]}`;
+      if (kind !== 'presentation') {
+        return {src: `${base}/preview`, id: m[2], width: 640, height: 800};
+      }
+      const slide = page > 1 ? `#slide=${page}` : '';
+      return {src: `${base}/embed?start=false${slide}`, id: m[2], width: 640, height: 389};
+    },
+  },
+  {
+    // Office documents anywhere on the web, shown by Microsoft's viewer, which fetches them.
+    name: 'office',
+    match: [/^https:\/\/[^?#]+\.(?:docx?|pptx?|xlsx?|odt|odp|ods)(?:[?#]|$)/i],
+    embed: (m, url) => ({
+      src: `https://view.officeapps.live.com/op/embed.aspx?src=${encodeURIComponent(url)}`,
+      width: 640,
+      height: 480,
+    }),
+  },
+  {
+    name: 'miro',
+    match: [/^https:\/\/miro\.com\/app\/(?:board|live-embed)\/([\w=-]+)/i],
+    embed: (m) => ({
+      src: `https://miro.com/app/live-embed/${m[1]}/`, id: m[1], width: 560, height: 420,
+    }),
+  },
+];
+
+for (const provider of builtins.reverse()) exports.register(provider);
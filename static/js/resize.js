@@ -0,0 +1,57 @@
+'use strict';
+
+// Resizing embeds by dragging the handle at their bottom right corner. The width they are dragged
+// to is stored with the embed and replaces its size preset.
+
+const attribute = require('./attribute');
+const editor = require('./editor');
+const shared = require('./shared');
+
+const minWidth = 80;
+
+exports.init = (ace) => {
+  if (clientVars.readonly) return;
+  const $innerDoc = $(editor.innerDocument());
+  const $body = $innerDoc.find('body').addClass('resizableEmbeds');
+
+  $innerDoc.on('mousedown', '.embedMedia .resize', (e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    const frame = e.currentTarget.parentNode;
+    const line = frame.closest('#innerdocbody > div');
+    const startX = e.clientX;
+    const startWidth = frame.getBoundingClientRect().width;
+    let width = startWidth;
+    $body.addClass('resizingEmbed');
+
+    const move = (e) => {
+      const maxWidth = line ? line.clientWidth : Infinity;
+      width = Math.round(Math.min(maxWidth, Math.max(minWidth, startWidth + e.clientX - startX)));
+      frame.style.width = `${width}px`;
+    };
+
+    const stop = () => {
+      $innerDoc.off('mousemove', move).off('mouseup', stop);
+      $body.removeClass('resizingEmbed');
+      if (width === startWidth) return;
+      ace.callWithAce((ace) => {
+        // The line may have been redrawn meanwhile, in which case the embed is left as it was.
+        const embed = ace.ace_getEmbedForNode(frame);
+        const record = embed && shared.parseValue(embed.value);
+        if (!record) return;
+        // Embeds sized by width and height keep their shape.
+        if (record.width && record.height && !record.ratio) {
+          record.ratio = Math.round(record.width / record.height * 1000) / 1000;
+        }
+        delete record.size;
+        delete record.height;
+        record.width = width;
+        const value = shared.cleanValue(attribute.stringify(record));
+        ace.ace_performDocumentApplyAttributesToRange(
+            embed.start, embed.end, [['embedMedia', value]]);
+      }, 'embedMedia');
+    };
+
+    $innerDoc.on('mousemove', move).on('mouseup', stop);
+  });
+};
@@ -0,0 +1,555 @@
+'use strict';
+
+// Code shared by the client (rendering inside the pad) and the server (exports). Nothing in here
+// may touch the DOM or jQuery, because it also runs inside Etherpad's Node.js process.
+
+const attribute = require('./attribute');
+const html4 = require('./html4-defs');
+const html = require('./html-sanitizer');
+const policy = require('./policy');
+const providers = require('./providers');
+
+const invalidImage = "<img src='../static/plugins/ep_embedmedia/static/html/invalid.png'>";
+
+exports.escapeHtml = (s) => String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Attributes of the embed elements that html4.ATTRIBS doesn't know. Anything in neither list is
+// dropped, which includes event handlers and srcdoc. sandbox, allow and referrerpolicy are dropped
+// as well: rendered iframes get the ones configured in the embed policy instead.
+const embedAttribs = {
+  'iframe::allowfullscreen': 0,
+  'embed::allowfullscreen': 0,
+  'param::name': 0,
+  'video::poster': html4.atype.URI,
+  'video::controls': 0,
+  'video::preload': 0,
+  'video::loop': 0,
+  'video::muted': 0,
+  'video::playsinline': 0,
+  'audio::controls': 0,
+  'audio::preload': 0,
+  'audio::loop': 0,
+  'audio::muted': 0,
+  'track::kind': 0,
+  'track::srclang': 0,
+  'track::label': 0,
+  'track::default': 0,
+};
+
+// Addresses are only kept if they are absolute http(s) links, and always load over https.
+const rewriteUri = (uri) => {
+  const value = String(uri).trim();
+  if (/^https:\/\//i.test(value)) return value;
+  if (/^http:\/\//i.test(value)) return `https://${value.slice('http://'.length)}`;
+  if (/^\/\//.test(value)) return `https:${value}`;
+  return null;
+};
+
+// Monkeypatch the sanitizer a bit
+// adding support for embed tags and fixing broken param tags
+html4.ELEMENTS.embed = html4.eflags.UNSAFE;
+html4.ELEMENTS.param = html4.eflags.UNSAFE;
+// NOT empty or we break stuff in some browsers...
+
+html4.ELEMENTS.video = html4.eflags.UNSAFE;
+html4.ELEMENTS.audio = html4.eflags.UNSAFE;
+html4.ELEMENTS.source = html4.eflags.UNSAFE | html4.eflags.EMPTY;
+html4.ELEMENTS.track = html4.eflags.UNSAFE | html4.eflags.EMPTY;
+
+// Objects and embeds aren't among them: unlike iframes they can't be sandboxed, and they show
+// whatever their link serves, whatever their type says. Those showing a PDF document become one,
+// see pdfLink().
+const embedElements = ['iframe', 'video', 'audio', 'source', 'track', 'img'];
+// Elements that show a player, and so get the size chosen for it.
+const playerElements = ['iframe', 'video', 'audio'];
+
+// The bundled html4-defs predates the names html-sanitizer.js looks attributes up by.
+html4.atype.NONE = 0;
+for (const name of Object.keys(html4.ATTRIBS)) {
+  if (!name.includes('::')) html4.ATTRIBS[`*::${name}`] = html4.ATTRIBS[name];
+}
+Object.assign(html4.ATTRIBS, embedAttribs);
+
+// Players in the code are given size ({width, height}) if there is one, and title if they have
+// none, as their accessible name.
+const sanitizeEmbed = (inputHtml, {iframeAttribs = [], size = null, title = null} = {}) => {
+  const tagPolicy = (tagName, attribs) => {
+    if (!embedElements.includes(tagName)) {
+      return null;
+    }
+    // Ids and class names could clash with the pad's own, so they go too.
+    html.sanitizeAttribs(tagName, attribs, rewriteUri, () => null);
+    if (size && playerElements.includes(tagName)) {
+      for (let i = attribs.length - 2; i >= 0; i -= 2) {
+        if (['width', 'height'].includes(attribs[i])) attribs.splice(i, 2);
+      }
+      attribs.push('width', String(size.width), 'height', String(size.height));
+    }
+    if (title && tagName === 'iframe' &&
+        !attribs.some((name, i) => i % 2 === 0 && name === 'title')) {
+      attribs.push('title', title);
+    }
+    if (tagName === 'iframe') {
+      for (const [name, value] of iframeAttribs) attribs.push(name, value);
+    }
+    return attribs;
+  };
+  return html.sanitizeWithPolicy(inputHtml, tagPolicy);
+};
+
+exports.sanitize = (inputHtml) => sanitizeEmbed(inputHtml);
+
+// Links are parsed wherever they are shown, so those URL can't parse (e.g. https://a:b) aren't
+// links.
+const isLink = (s) => {
+  if (typeof s !== 'string' || !/^https?:\/\/\S+$/.test(s)) return false;
+  try {
+    return new URL(s).hostname !== '';
+  } catch (err) {
+    return false;
+  }
+};
+
+const isLanguage = (s) => typeof s === 'string' && /^[a-zA-Z]{2,8}(?:-[a-zA-Z0-9]{1,8})*$/.test(s);
+
+exports.isLink = isLink;
+exports.isLanguage = isLanguage;
+
+// Images can also be inserted as data: URIs, as long as they are small: the URI is stored in the
+// pad with the embed.
+exports.maxDataImageLength = 64 * 1024;
+
+const isDataImage = (s) => typeof s === 'string' && s.length <= exports.maxDataImageLength &&
+    /^data:image\/(?:png|jpeg|gif|webp|avif);base64,[a-zA-Z0-9+/]+=*$/.test(s);
+
+exports.isDataImage = isDataImage;
+
+// Audio, video, image and PDF files the browser shows itself, by extension. Other links to files
+// can be recognized by the type the server reports for them, see probe.js.
+const fileTypes = {
+  video: /\.(?:mp4|m4v|webm|ogv|mov)$/i,
+  audio: /\.(?:mp3|m4a|aac|wav|ogg|oga|opus|flac)$/i,
+  image: /\.(?:png|jpe?g|gif|webp|avif|svg)$/i,
+  pdf: /\.pdf$/i,
+};
+
+exports.fileTypes = Object.keys(fileTypes);
+
+const fileType = (url) => {
+  let pathname;
+  try {
+    ({pathname} = new URL(url));
+  } catch (err) {
+    return null;
+  }
+  return exports.fileTypes.find((type) => fileTypes[type].test(pathname)) || null;
+};
+
+// Returns the link of the first object or embed in some markup that links to a PDF document, or
+// null if there is none.
+const pdfLink = (code) => {
+  let link = null;
+  html.sanitizeWithPolicy(code, (tagName, attribs) => {
+    if (link != null || !['object', 'embed'].includes(tagName)) return null;
+    html.sanitizeAttribs(tagName, attribs, rewriteUri, () => null);
+    const url = attribs.find((value, i) => i % 2 === 1 && ['data', 'src'].includes(attribs[i - 1]));
+    if (isLink(url) && fileType(url) === 'pdf') link = url;
+    return null;
+  });
+  return link;
+};
+
+const iframeHtml = ({src, width, height, title}) => {
+  const titleAttr = title ? ` title="${exports.escapeHtml(title)}"` : '';
+  const policyAttrs = policy.iframeAttribs()
+      .map(([name, value]) => ` ${name}="${exports.escapeHtml(value)}"`).join('');
+  return `<iframe width="${exports.escapeHtml(width)}" height="${exports.escapeHtml(height)}" ` +
+      `src="${exports.escapeHtml(src)}"${titleAttr} frameborder="0" allowfullscreen` +
+      `${policyAttrs}></iframe>`;
+};
+
+// Returns the record (see attribute.js) for a link or embed code as typed into the modal, or null
+// if it is neither. Links no provider knows are kept, the oEmbed proxy may still resolve them.
+exports.recordFromCode = (code) => {
+  const value = String(code).trim();
+  if (isDataImage(value)) return {type: 'image', url: value};
+  if (isLink(value)) {
+    const media = providers.find(value);
+    if (media) return {provider: media.provider, id: media.id, url: value, start: media.start};
+    const type = fileType(value);
+    return type ? {type, url: value} : {url: value};
+  }
+  if (value.indexOf('<') === 0) {
+    const sanitized = exports.sanitize(value).trim();
+    // An image on its own is inserted like its link, with its alternative text.
+    const image = /^<img\b[^>]*>$/.test(sanitized) && /\ssrc="([^"]*)"/.exec(sanitized);
+    if (image) {
+      const [, alt] = /\salt="([^"]*)"/.exec(sanitized) || [];
+      const record = {type: 'image', url: html.unescapeEntities(image[1])};
+      if (alt) record.alt = html.unescapeEntities(alt);
+      return record;
+    }
+    if (sanitized) return {html: sanitized};
+    const pdf = pdfLink(value);
+    return pdf ? {type: 'pdf', url: pdf} : null;
+  }
+  return null;
+};
+
+// Widths of the size presets in pixels. Full width embeds fill the line in the pad, elsewhere
+// (e.g. in exports) their players are given fullWidth pixels.
+const presetWidths = {small: 320, medium: 560, full: null};
+const fullWidth = 640;
+
+exports.sizes = Object.keys(presetWidths);
+exports.alignments = ['left', 'center', 'right'];
+
+// How an embed is laid out, kept when its link or code is changed. The rest belongs to the media.
+exports.keptOptions = ['width', 'height', 'size', 'align', 'caption'];
+
+// Returns the record held by an attribute value, or null if there is nothing to embed. Values
+// written before the current format are converted, so old pads keep rendering. The fields that
+// end up in markup are checked, because values also come from imports and other clients.
+exports.parseValue = (value) => {
+  if (value == null || value === '') return null;
+  if (attribute.isLegacy(value)) return exports.recordFromCode(attribute.parseLegacy(value));
+  const record = attribute.parse(value);
+  if (!exports.fileTypes.includes(record.type) && record.type !== 'link') delete record.type;
+  if (!isLink(record.url) && !(record.type === 'image' && isDataImage(record.url))) {
+    delete record.url;
+  }
+  if (!isLink(record.thumbnail)) delete record.thumbnail;
+  if (typeof record.alt !== 'string') delete record.alt;
+  if (!isLink(record.poster)) delete record.poster;
+  if (!isLink(record.captions)) delete record.captions;
+  if (!isLanguage(record.captionsLang)) delete record.captionsLang;
+  for (const name of ['title', 'description', 'site', 'caption']) {
+    if (typeof record[name] !== 'string' || record[name] === '') delete record[name];
+  }
+  if (record.html != null) {
+    // Embed code stored before objects and embeds were dropped, see recordFromCode().
+    const pdf = record.url == null && pdfLink(record.html);
+    record.html = exports.sanitize(record.html).trim();
+    if (!record.html && pdf) Object.assign(record, {type: 'pdf', url: pdf});
+  }
+  if (!record.html) delete record.html;
+  if (!exports.sizes.includes(record.size)) delete record.size;
+  if (!exports.alignments.includes(record.align)) delete record.align;
+  for (const name of ['width', 'height', 'ratio']) {
+    if (!(record[name] > 0)) delete record[name];
+  }
+  if (!(Number.isInteger(record.page) && record.page > 0)) delete record.page;
+  return record.url || record.html ? record : null;
+};
+
+// Normalizes an embedMedia attribute value found in imported or pasted content, converting old
+// values to the current format. Returns null if nothing embeddable is left.
+exports.cleanValue = (value) => {
+  const record = exports.parseValue(value);
+  return record ? attribute.stringify(record) : null;
+};
+
+// Returns {media, width, height}: the provider's player for a record, if a provider plays it,
+// and the size of the player when none is chosen, as far as it is known.
+const naturalSize = (record) => {
+  const media =
+      record.url ? providers.find(record.url, {start: record.start, page: record.page}) : null;
+  if (media) return {media, width: media.width, height: media.height};
+  if (record.type === 'video') return {media, width: 640, height: 360};
+  if (record.type === 'audio') return {media, width: 300, height: 54};
+  if (record.type === 'pdf') return {media, width: 640, height: 800};
+  const markup = exports.sanitize(record.html || '');
+  const [, width] = /\swidth="(\d+)"/.exec(markup) || [];
+  const [, height] = /\sheight="(\d+)"/.exec(markup) || [];
+  return {media, width: Number(width) || null, height: Number(height) || null};
+};
+
+// Returns {width, ratio} of the frame an embed is shown in: width in pixels, or null if it fills
+// the line, and width / height, or null if unknown.
+const frameSize = (record, natural) => {
+  const preset = exports.sizes.includes(record.size);
+  const width = preset ? presetWidths[record.size] : record.width || natural.width;
+  if (!preset && width && record.height) return {width, ratio: width / record.height};
+  const ratio = record.ratio || (natural.width && natural.height && natural.width / natural.height);
+  return {width: width || null, ratio: ratio || null};
+};
+
+// Returns the inline styles of the elements a record is shown in: frame for the element around
+// the embed, which sizes and aligns it, and player for the one the player is in, which keeps it
+// at its aspect ratio. Players only fill the latter where a style sheet says so (see ace.css).
+exports.frameStyles = (record) => {
+  const {width, ratio} = frameSize(record, naturalSize(record));
+  const frame = [];
+  if (record.size === 'full') frame.push('display:block');
+  else if (width) frame.push(`width:${Math.round(width)}px`, 'max-width:100%');
+  if (record.align) frame.push('display:block');
+  if (record.align === 'center' || record.align === 'right') frame.push('margin-left:auto');
+  if (record.align === 'center' || record.align === 'left') frame.push('margin-right:auto');
+  return {
+    frame: [...new Set(frame)].join(';'),
+    player: ratio ? `aspect-ratio:${Math.round(ratio * 1000) / 1000}` : '',
+  };
+};
+
+// Returns {width, height} of the player of a record: pixels, or "100%" for the width of full width
+// players. Returns null if the aspect ratio isn't known.
+const playerSize = (record, natural) => {
+  const {width, ratio} = frameSize(record, natural);
+  if (!ratio) return null;
+  const height = Math.round((width || fullWidth) / ratio);
+  return {width: width ? Math.round(width) : '100%', height};
+};
+
+// Returns the size the player of a record takes up, like playerSize(), using the size of the code
+// or the browser's default size for iframes if the aspect ratio isn't known.
+exports.playerSize = (record) => {
+  const natural = naturalSize(record);
+  return playerSize(record, natural) ||
+      {width: natural.width || 300, height: natural.height || 150};
+};
+
+// Files are loaded over https, like the links in embed code (see rewriteUri()). data: URIs of
+// images are kept.
+const secureUrl = (url) => (isLink(url) ? rewriteUri(url) : url);
+
+// Captions are only shown if they are served from the pad's site or allow it with CORS headers.
+const fileHtml = (record, {width, height}) => {
+  const {type, captionsLang, title} = record;
+  const [url, poster, captions] = [record.url, record.poster, record.captions].map(secureUrl);
+  const attrs = [`src="${exports.escapeHtml(url)}"`, 'controls', 'preload="metadata"'];
+  if (type === 'video') {
+    attrs.push(`width="${exports.escapeHtml(width)}"`, `height="${exports.escapeHtml(height)}"`);
+    if (poster) attrs.push(`poster="${exports.escapeHtml(poster)}"`);
+  }
+  if (title) attrs.push(`title="${exports.escapeHtml(title)}"`);
+  const track = captions
+    ? `<track kind="captions" src="${exports.escapeHtml(captions)}"` +
+        `${captionsLang ? ` srclang="${exports.escapeHtml(captionsLang)}"` : ''} default>`
+    : '';
+  return `<${type} ${attrs.join(' ')}>${track}</${type}>`;
+};
+
+// Returns the address of a PDF document that opens it at a page, see
+// https://datatracker.ietf.org/doc/html/rfc8118#section-3.
+exports.pdfPageUrl = (url, page) => (page > 1 ? `${url.split('#')[0]}#page=${page}` : url);
+
+// PDF documents are shown with the browser's own viewer, which doesn't work in sandboxed iframes.
+const pdfHtml = ({url, title, page}, {width, height}) => {
+  const titleAttr = title ? ` title="${exports.escapeHtml(title)}"` : '';
+  const data = secureUrl(exports.pdfPageUrl(url, page));
+  return `<object data="${exports.escapeHtml(data)}" type="application/pdf" ` +
+      `width="${exports.escapeHtml(width)}" height="${exports.escapeHtml(height)}"${titleAttr}>` +
+      '</object>';
+};
+
+// Images are shown at the size chosen for them, or their own.
+const imageHtml = ({url, alt, title, size}, {width, ratio}) => {
+  const attrs = [`class="image" src="${exports.escapeHtml(secureUrl(url))}"`];
+  attrs.push(`alt="${exports.escapeHtml(alt || '')}"`, 'loading="lazy"');
+  if (title) attrs.push(`title="${exports.escapeHtml(title)}"`);
+  if (width) attrs.push(`width="${Math.round(width)}"`);
+  else if (size === 'full') attrs.push('width="100%"');
+  if (width && ratio) attrs.push(`height="${Math.round(width / ratio)}"`);
+  return `<img ${attrs.join(' ')}>`;
+};
+
+// Link cards are links themselves, to the page they preview. Their image is fetched by the
+// server, see cards.js. Their text is drawn by the style sheets (see ace.css), text in the line
+// would be collected into the pad's text.
+const cardHtml = ({url, title, description, site, thumbnail}) => {
+  const host = new URL(url).hostname;
+  const src = `../ep_embedmedia/card/image?url=${encodeURIComponent(url)}`;
+  const image = thumbnail
+    ? `<img class="cardImage" alt="" loading="lazy" src="${exports.escapeHtml(src)}">` : '';
+  const text = (cls, value) => `<span class="${cls}" data-text="${exports.escapeHtml(value)}">` +
+      '</span>';
+  return `<a class="card" href="${exports.escapeHtml(url)}" target="_blank" ` +
+      `rel="noopener noreferrer nofollow" aria-label="${exports.escapeHtml(title || host)}">` +
+      `${image}<span class="cardText">${text('cardTitle', title || host)}` +
+      `${description ? text('cardDescription', description) : ''}` +
+      `${text('cardSite', site || host)}</span></a>`;
+};
+
+// Returns the player markup for a record, or null if it can't be played.
+exports.renderEmbed = (record) => {
+  const natural = naturalSize(record);
+  const size = playerSize(record, natural);
+  const title = exports.embedTitle(record);
+  if (natural.media) return iframeHtml({src: natural.media.src, ...size, title});
+  if (record.type === 'image' && record.url) return imageHtml(record, frameSize(record, natural));
+  if (record.type === 'pdf' && record.url) return pdfHtml({...record, title}, size);
+  if (record.type === 'link' && record.url) return cardHtml(record);
+  if (record.type && record.url) return fileHtml(record, size);
+  if (!record.html) return null;
+  // Embed code keeps the size it was written with unless another one was chosen.
+  const chosen = record.size || record.width || record.height || record.ratio;
+  const options = {iframeAttribs: policy.iframeAttribs(), size: chosen ? size : null, title};
+  return sanitizeEmbed(record.html, options).trim() || null;
+};
+
+// Returns the card shown instead of the player of a record in click-to-load mode (see facade.js).
+// Nothing on it is loaded from the media's site: the title is stored with the embed and the
+// thumbnail is fetched by the server. The title is drawn by the style sheet (see ace.css), text in
+// the line would be collected into the pad's text.
+exports.renderFacade = (record) => {
+  const url = exports.embedUrl(record);
+  const host = url ? new URL(url).hostname : '';
+  const title = record.title || host;
+  const src = `../ep_embedmedia/thumbnail?url=${encodeURIComponent(record.url)}`;
+  const thumbnail = record.url && record.thumbnail
+    ? `<img class='thumbnail' alt='' loading='lazy' src='${exports.escapeHtml(src)}'>` : '';
+  return `<span class='facade' role='button' tabindex='0' title='${exports.escapeHtml(title)}'>` +
+      `${thumbnail}<span class='play'></span>` +
+      `<span class='title' data-title='${exports.escapeHtml(title)}'></span></span>`;
+};
+
+// Returns the accessible name of an embed: the title it was given, the alternative text of an
+// image, or else the host of its link. Returns null if there is none of these.
+exports.embedTitle = (record) => {
+  if (record.title) return record.title;
+  if (record.type === 'image' && record.alt) return record.alt;
+  const url = exports.embedUrl(record);
+  return url ? new URL(url).hostname : null;
+};
+
+// Returns the address a reader should be sent to for a record: the link that was inserted, or
+// the source of the first sanitized iframe, video or audio. Returns null if there is none.
+exports.embedUrl = (record) => {
+  if (isLink(record.url)) {
+    return record.type === 'pdf' ? exports.pdfPageUrl(record.url, record.page) : record.url;
+  }
+  const src = /\ssrc="([^"]*)"/.exec(exports.sanitize(record.html || ''));
+  if (!src) return null;
+  const url = html.unescapeEntities(src[1]);
+  return isLink(url) ? url : null;
+};
+
+// Returns null if the policy (see policy.js) allows the embed, or {reason, url, host} for the
+// first address it would load that is not allowed.
+exports.checkPolicy = (record) => {
+  const urls = record.url ? [record.url] : [];
+  // Cards load nothing from the page's site.
+  const markup = (record.type !== 'link' && exports.renderEmbed(record)) || '';
+  for (const [, src] of markup.matchAll(/\s(?:src|data|poster)="([^"]*)"/g)) {
+    urls.push(html.unescapeEntities(src));
+  }
+  // Images in data: URIs load nothing.
+  for (const url of urls.filter((url) => !isDataImage(url))) {
+    const violation = policy.check(url);
+    if (violation) return violation;
+  }
+  return null;
+};
+
+// Returns {record, error} for a link or embed code as typed into the modal. error is null, or
+// "empty", "unsafe" (markup with nothing embeddable left once sanitized), "imageTooLarge" (a data:
+// URI longer than maxDataImageLength) or "invalid".
+exports.checkCode = (code) => {
+  const value = String(code).trim();
+  if (value === '') return {record: null, error: 'empty'};
+  const record = exports.recordFromCode(value);
+  if (record == null && value.indexOf('data:image/') === 0 &&
+      value.length > exports.maxDataImageLength) {
+    return {record, error: 'imageTooLarge'};
+  }
+  if (record == null) return {record, error: value.indexOf('<') === 0 ? 'unsafe' : 'invalid'};
+  return {record, error: null};
+};
+
+// Returns {error, violation} for a record about to be embedded. error is null if it can be, or
+// "unsupported" for a link nothing knows how to play, or "blocked" with the policy violation.
+exports.checkRecord = (record) => {
+  if (record.url && !record.provider && !record.html && !record.type) {
+    return {error: 'unsupported', violation: null};
+  }
+  const violation = exports.checkPolicy(record);
+  return {error: violation ? 'blocked' : null, violation};
+};
+
+exports.renderValue = (value) => {
+  const record = exports.parseValue(value);
+  return (record && exports.renderEmbed(record)) || invalidImage;
+};
+
+exports.valueUrl = (value) => {
+  const record = exports.parseValue(value);
+  return record && exports.embedUrl(record);
+};
+
+// Returns the Markdown for an attribute value: images as images, other embeds as a link to them.
+// Returns null if there is nothing to link to.
+exports.valueMarkdown = (value) => {
+  const record = exports.parseValue(value);
+  const url = record && (record.type === 'image' ? record.url : exports.embedUrl(record));
+  if (!url) return null;
+  const destination = url.replace(/[\s()<>]/g, (c) => `%${c.charCodeAt(0).toString(16)}`);
+  const text = (record.type === 'image' ? record.alt : record.title) || '';
+  const label = text.replace(/[\\[\]]/g, '\\$&').replace(/\s+/g, ' ');
+  if (record.type === 'image') return `![${label}](${destination})`;
+  return `[${label || destination}](${destination})`;
+};
+
+// The following work on a link or embed code as typed into the modal.
+
+// Returns the player markup for a link or embed code, or null if it is not supported.
+exports.buildEmbedHtml = (orig) => {
+  const record = exports.recordFromCode(orig);
+  const res = record && exports.renderEmbed(record);
+  if (!res) console.warn(`Unsupported embed code: ${orig}`);
+  return res || null;
+};
+
+exports.cleanEmbedCode = (orig) => exports.buildEmbedHtml(orig) || invalidImage;
+
+exports.getEmbedUrl = (orig) => {
+  const record = exports.recordFromCode(orig);
+  return record && exports.embedUrl(record);
+};
+
+// Markup the content collector turns back into an embed (see collectContentPre below). The pad
+// itself renders embeds with the same class, so copying and pasting within Etherpad round-trips.
+const marker = (value) => `<span class="embedMedia:${value}">E</span>`;
+
+// Rewrites HTML about to be imported or pasted so that embeds survive: wrappers produced by our
+// HTML export keep their original value, and bare iframe/video/audio elements are sanitized and
+// turned into embeds, as are objects and embeds showing a PDF document (see recordFromCode()).
+// Elements already inside a pad's rendered embed are left alone.
+const embedPattern = new RegExp('(<span class="media\\b[^>]*>)?' +
+    '(<(iframe|object|video|audio)\\b[^>]*>[\\s\\S]*?<\\/\\3\\s*>|<embed\\b[^>]*>)', 'gi');
+
+exports.replaceEmbedsWithMarkers = (inputHtml) => inputHtml
+    .replace(/<span class="embedMedia" data-embedmedia="([^"]*)"[^>]*>[\s\S]*?<\/span>/gi,
+        (match, value) => marker(value))
+    .replace(embedPattern,
+        (match, rendered, element) => {
+          if (rendered) return match;
+          const record = exports.recordFromCode(element);
+          return record ? marker(attribute.stringify(record)) : match;
+        });
+
+// Returns the attribute value held by a class list with a prefix, embedMedia or embedMediaTime,
+// or null, see aceAttribsToClasses in hooks.js.
+exports.valueFromClasses = (cls, prefix) => {
+  const found = String(cls || '').split(' ').find((c) => c.indexOf(`${prefix}:`) === 0);
+  return found ? found.substr(prefix.length + 1) : null;
+};
+
+// Returns the value of the embed a .embedMedia element in the pad shows, or null.
+exports.embedValue = (frame) => exports.valueFromClasses(frame.className, 'embedMedia');
+
+// Returns the key of a player's slot, from the embed's value and the slot's position among the
+// slots with the same value, see players.js.
+exports.slotKey = (value, count) => `${count}:${value}`;
+
+// Playback of players with longer slot keys isn't passed on to followers, see watch.js.
+exports.maxSlotKeyLength = 4096;
+
+exports.collectContentPre = (hookName, {cc, state, cls}) => {
+  const value = exports.cleanValue(exports.valueFromClasses(cls, 'embedMedia'));
+  if (value) cc.doAttrib(state, `embedMedia::${value}`);
+};
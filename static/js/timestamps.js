@@ -0,0 +1,166 @@
+'use strict';
+
+// Timestamps: times written in the pad's text, e.g. "see 12:34", turned into links that seek an
+// embedded video or recording. The text carries the embedMediaTime attribute, whose value names
+// the embed by its link and holds the time in seconds, in the same format as embeds (see
+// attribute.js):
+//
+//   v1;u=https%3A%2F%2Fyoutu.be%2FdQw4w9WgXcQ;t=754
+//
+// Timestamps are bound to the closest embed above them, or below them if there is none above,
+// and clicking one seeks the closest embed with that link. Exports turn them into links to the
+// media at that time, see deepLink().
+
+const attribute = require('./attribute');
+const editor = require('./editor');
+const players = require('./players');
+const shared = require('./shared');
+const watch = require('./watch');
+const youtube = require('./youtube');
+
+// Returns {url, time} for an embedMediaTime attribute value, or null if it isn't one.
+exports.parse = (value) => {
+  if (typeof value !== 'string' || attribute.isLegacy(value)) return null;
+  const {url, start} = attribute.parse(value);
+  if (!shared.isLink(url) || !(start >= 0)) return null;
+  return {url, time: Math.floor(start)};
+};
+
+exports.stringify = ({url, time}) => attribute.stringify({url, start: Math.floor(time)});
+
+// Returns an attribute value in its current form, or null if it isn't a valid one.
+exports.cleanValue = (value) => {
+  const timestamp = exports.parse(value);
+  return timestamp && exports.stringify(timestamp);
+};
+
+// Returns the link timestamps bound to the embed of a record hold, or null if it doesn't play
+// anything that can be sought.
+exports.embedLink = (record) => {
+  if (record == null) return null;
+  if (record.provider == null && !['video', 'audio'].includes(record.type) && !record.html) {
+    return null;
+  }
+  return shared.embedUrl(record);
+};
+
+// Returns 1:05 for 65 seconds, 1:02:03 for 3723.
+exports.format = (time) => {
+  const seconds = Math.floor(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  const [h, m, s] = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60];
+  return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+};
+
+// Returns the time written in a text, e.g. 12:34, 1:02:03 or 1m30s, in seconds, or null.
+exports.parseTime = (text) => youtube.parseTime(String(text).trim());
+
+// Returns the link to the media of a timestamp at its time: ?t= for sites, which read the start
+// time from the query, or a media fragment for files, and for Vimeo, which reads it from there.
+exports.deepLink = ({url, time}) => {
+  const link = new URL(url);
+  const record = shared.recordFromCode(url) || {};
+  if (['video', 'audio'].includes(record.type)) {
+    link.hash = `t=${time}`;
+  } else if (record.provider === 'vimeo') {
+    link.hash = `t=${time}s`;
+  } else {
+    // YouTube reads these too, and would start there instead.
+    link.searchParams.delete('start');
+    link.searchParams.delete('time_continue');
+    link.searchParams.set('t', String(time));
+  }
+  return link.href;
+};
+
+// Returns the .embedMedia element closest to a node in the pad whose embed has a link, any link
+// if url is null, or null.
+const findEmbed = (node, url) => {
+  const frames = [...node.ownerDocument.querySelectorAll('#innerdocbody .embedMedia')]
+      .filter((frame) => {
+        const link = exports.embedLink(shared.parseValue(shared.embedValue(frame)));
+        return link != null && (url == null || link === url);
+      });
+  const above = frames.filter(
+      (frame) => node.compareDocumentPosition(frame) & node.DOCUMENT_POSITION_PRECEDING);
+  return above.length > 0 ? above[above.length - 1] : frames[0] || null;
+};
+
+const seek = (node, {url, time}, retry = true) => {
+  const frame = findEmbed(node, url);
+  if (frame == null) return;
+  // Click-to-load cards load their player first, which draws their line again.
+  const card = frame.querySelector('.facade');
+  if (card != null) {
+    $(card).trigger('click');
+    if (retry) setTimeout(() => seek(node.isConnected ? node : frame, {url, time}, false), 250);
+    return;
+  }
+  const element = players.show(frame);
+  if (element != null) watch.seek(element, time);
+};
+
+// Turns the time selected in the pad into a timestamp, or the selected timestamp back into text.
+// With nothing selected, the time the closest player is at is inserted as a timestamp. Returns
+// false if there was nothing to do. context is the editor's, see aceInitialized in hooks.js.
+exports.toggle = ({rep, documentAttributeManager, editorInfo}) => {
+  if (!rep.selStart || !rep.selEnd || rep.selStart[0] !== rep.selEnd[0]) return false;
+  const [line, start] = rep.selStart;
+  const end = rep.selEnd[1];
+  const {lineNode, text} = rep.lines.atIndex(line);
+  if (end > start) {
+    const current = documentAttributeManager.getAttributesOnPosition(line, start)
+        .find(([key, value]) => key === 'embedMediaTime' && value);
+    if (current != null) {
+      editorInfo.ace_performDocumentApplyAttributesToRange(
+          rep.selStart, rep.selEnd, [['embedMediaTime', '']]);
+      return true;
+    }
+  }
+  const frame = lineNode && findEmbed(lineNode, null);
+  if (frame == null) return false;
+  const url = exports.embedLink(shared.parseValue(shared.embedValue(frame)));
+  let time;
+  let range = [rep.selStart, rep.selEnd];
+  if (end > start) {
+    time = exports.parseTime(text.slice(start, end));
+    if (time == null) return false;
+  } else {
+    const element = players.show(frame);
+    time = element && watch.currentTime(element);
+    if (time == null) return false;
+    const written = exports.format(time);
+    editorInfo.ace_replaceRange([line, start], [line, start], written);
+    range = [[line, start], [line, start + written.length]];
+  }
+  editorInfo.ace_performDocumentApplyAttributesToRange(
+      ...range, [['embedMediaTime', exports.stringify({url, time})]]);
+  return true;
+};
+
+exports.init = (ace) => {
+  const $innerDoc = $(editor.innerDocument());
+  $innerDoc.on('click', '.embedMediaTime', (e) => {
+    const timestamp = exports.parse(
+        shared.valueFromClasses(e.currentTarget.className, 'embedMediaTime'));
+    if (timestamp != null) seek(e.currentTarget, timestamp);
+  });
+  $('#embedMediaTimestamp').on('click', () => {
+    ace.callWithAce((ace) => {
+      if (!ace.ace_toggleTimestamp()) {
+        $.gritter.add({
+          text: html10n.get('ep_embedmedia.timestampHelp'),
+          sticky: false,
+          time: 5000,
+        });
+      }
+    }, 'embedMediaTime', true);
+  });
+};
+
+// Timestamps keep their attribute when their line is collected again, like embeds do (see
+// collectContentPre in shared.js).
+exports.collectContentPre = (hookName, {cc, state, cls}) => {
+  const value = exports.cleanValue(shared.valueFromClasses(cls, 'embedMediaTime'));
+  if (value) cc.doAttrib(state, `embedMediaTime::${value}`);
+};
@@ -0,0 +1,222 @@
+'use strict';
+
+// Watch together: someone on the pad presents, and the players of those who follow play, pause and
+// seek along with theirs. Each user chooses in their own settings whether they present, follow or
+// neither. What presenters do is sent over the pad's connection (see watch.js at the plugin's
+// root) and applied to the same embed, told apart by its slot key (see players.js), in the
+// followers' pads. Players that aren't loaded, e.g. scrolled far away, are left alone.
+//
+// Video and audio files are followed through their <video> and <audio> elements, YouTube and Vimeo
+// players through the messages their iframes understand. YouTube players only listen once their
+// link asks for it, so they are reloaded with enablejsapi=1 when watching together starts.
+
+const editor = require('./editor');
+const players = require('./players');
+const shared = require('./shared');
+
+// Followers only seek if their player is further than this from the presenter's, in seconds:
+// players drift apart a little and messages take some time to arrive.
+const tolerance = 1;
+
+const isYouTube = (src) => /^https:\/\/www\.youtube(?:-nocookie)?\.com\/embed\//.test(src);
+const isVimeo = (src) => /^https:\/\/player\.vimeo\.com\/video\//.test(src);
+
+// 'off', 'follow' or 'present'.
+let role = 'off';
+// The pad's connection, see init().
+let collabClient = null;
+// What is known of iframe players, as {time, playing, heard}, from the messages they send.
+const states = new WeakMap();
+// Iframe players that were got ready, see prepare().
+const prepared = new WeakSet();
+
+const post = (iframe, message) => {
+  if (iframe.contentWindow) iframe.contentWindow.postMessage(JSON.stringify(message), '*');
+};
+
+const stateOf = (iframe) => {
+  if (!states.has(iframe)) states.set(iframe, {time: 0, playing: false, heard: false});
+  return states.get(iframe);
+};
+
+const send = (element, playing, time) => {
+  if (role !== 'present' || element == null || collabClient == null) return;
+  const key = element.dataset.key;
+  if (key.length > shared.maxSlotKeyLength) return;
+  collabClient.sendMessage({type: 'ep_embedmedia_watch', key, playing, time});
+};
+
+// Asks an iframe player to report what it does, once it has loaded.
+const listen = (iframe) => {
+  if (isVimeo(iframe.src)) {
+    for (const value of ['play', 'pause', 'seeked', 'timeupdate']) {
+      post(iframe, {method: 'addEventListener', value});
+    }
+    return;
+  }
+  // The YouTube player only answers once its API is ready, so it is asked until it does.
+  let tries = 0;
+  const ask = () => {
+    if (stateOf(iframe).heard || ++tries > 40 || !iframe.isConnected) return;
+    post(iframe, {event: 'listening', id: 1, channel: 'widget'});
+    setTimeout(ask, 250);
+  };
+  ask();
+};
+
+// Gets a loaded player ready to be followed or presented.
+const prepare = (element) => {
+  if (role === 'off') return;
+  for (const iframe of element.querySelectorAll('iframe')) {
+    if (prepared.has(iframe)) continue;
+    if (isYouTube(iframe.src) && !/[?&]enablejsapi=1/.test(iframe.src)) {
+      const url = new URL(iframe.src);
+      url.searchParams.set('enablejsapi', '1');
+      iframe.src = url.href;
+    } else if (!isYouTube(iframe.src) && !isVimeo(iframe.src)) {
+      continue;
+    }
+    prepared.add(iframe);
+    iframe.addEventListener('load', () => listen(iframe));
+    listen(iframe);
+  }
+};
+
+exports.loaded = prepare;
+
+// Handles the messages of YouTube and Vimeo players.
+const receiveFromPlayer = (doc, e) => {
+  const iframe = [...doc.querySelectorAll('.embedMediaPlayer iframe')]
+      .find((candidate) => candidate.contentWindow === e.source);
+  if (iframe == null) return;
+  let data = e.data;
+  try {
+    if (typeof data === 'string') data = JSON.parse(data);
+  } catch (err) {
+    return;
+  }
+  if (data == null || typeof data !== 'object') return;
+  const state = stateOf(iframe);
+  const element = iframe.closest('.embedMediaPlayer');
+  if (isYouTube(iframe.src)) {
+    state.heard = true;
+    const info = data.info;
+    if (data.event === 'onStateChange' && (info === 1 || info === 2)) {
+      state.playing = info === 1;
+      send(element, state.playing, state.time);
+    } else if (data.event === 'infoDelivery' && info != null && typeof info === 'object') {
+      if (typeof info.currentTime === 'number') {
+        // A jump while paused is a seek: playing players report a state change when seeking.
+        const jumped = Math.abs(info.currentTime - state.time) > tolerance;
+        state.time = info.currentTime;
+        if (jumped && !state.playing && info.playerState === 2) send(element, false, state.time);
+      }
+    }
+  } else if (isVimeo(iframe.src)) {
+    state.heard = true;
+    if (data.event === 'ready') {
+      listen(iframe);
+      return;
+    }
+    const seconds = data.data && data.data.seconds;
+    if (typeof seconds === 'number') state.time = seconds;
+    if (data.event === 'play' || data.event === 'pause') {
+      state.playing = data.event === 'play';
+      send(element, state.playing, state.time);
+    } else if (data.event === 'seeked') {
+      send(element, state.playing, state.time);
+    }
+  }
+};
+
+const seekIframe = (iframe, time) => {
+  if (isYouTube(iframe.src)) {
+    post(iframe, {event: 'command', func: 'seekTo', args: [time, true]});
+  } else {
+    post(iframe, {method: 'setCurrentTime', value: time});
+  }
+};
+
+const playIframe = (iframe, playing) => {
+  if (isYouTube(iframe.src)) {
+    post(iframe, {event: 'command', func: playing ? 'playVideo' : 'pauseVideo', args: []});
+  } else {
+    post(iframe, {method: playing ? 'play' : 'pause'});
+  }
+};
+
+// Players that don't listen to messages yet are loaded again at the time instead. Browsers may
+// not let them play by themselves.
+const reload = (element, iframe, playing, time) => {
+  const url = new URL(iframe.src);
+  if (isYouTube(iframe.src)) url.searchParams.set('start', String(Math.floor(time)));
+  else url.hash = `t=${Math.floor(time)}s`;
+  url.searchParams.set('autoplay', playing ? '1' : '0');
+  const replacement = iframe.cloneNode(false);
+  replacement.src = url.href;
+  iframe.replaceWith(replacement);
+  prepare(element);
+};
+
+// Makes a loaded player, an .embedMediaPlayer element, play or pause at a time.
+const control = (element, playing, time) => {
+  const media = element.querySelector('video, audio');
+  if (media != null) {
+    if (Math.abs(media.currentTime - time) > tolerance) media.currentTime = time;
+    // Browsers may refuse to play before the follower has interacted with the page.
+    if (playing && media.paused) media.play().catch(() => {});
+    if (!playing && !media.paused) media.pause();
+    return;
+  }
+  const iframe = [...element.querySelectorAll('iframe')]
+      .find((candidate) => isYouTube(candidate.src) || isVimeo(candidate.src));
+  if (iframe == null) return;
+  const state = stateOf(iframe);
+  if (!state.heard) {
+    reload(element, iframe, playing, time);
+    return;
+  }
+  if (!playing || Math.abs(state.time - time) > tolerance) seekIframe(iframe, time);
+  playIframe(iframe, playing);
+};
+
+// Applies what a presenter did, sent by the server as a CUSTOM message.
+exports.receive = ({key, playing, time} = {}) => {
+  if (role !== 'follow' || typeof key !== 'string') return;
+  const element = players.find(key);
+  if (element != null) control(element, playing, time);
+};
+
+// Plays a player from a time, e.g. when a timestamp is clicked (see timestamps.js). Presenters'
+// followers follow.
+exports.seek = (element, time) => control(element, true, time);
+
+// Returns the time a player is at, in seconds, or null if it isn't known: iframe players only
+// tell while watching together.
+exports.currentTime = (element) => {
+  const media = element.querySelector('video, audio');
+  if (media != null) return media.currentTime;
+  const iframe = [...element.querySelectorAll('iframe')].find((candidate) => states.has(candidate));
+  return iframe != null && stateOf(iframe).heard ? stateOf(iframe).time : null;
+};
+
+exports.init = ({pad}) => {
+  collabClient = pad.collabClient;
+  const innerDoc = editor.innerDocument();
+  const innerWin = innerDoc.defaultView;
+  innerWin.addEventListener('message', (e) => {
+    if (role !== 'off') receiveFromPlayer(innerDoc, e);
+  });
+  // Media events don't bubble, but they can be caught on their way down.
+  for (const type of ['play', 'pause', 'seeked']) {
+    innerDoc.addEventListener(type, (e) => {
+      const media = e.target;
+      if (!media.closest || !media.closest('.embedMediaPlayer')) return;
+      send(media.closest('.embedMediaPlayer'), !media.paused, media.currentTime);
+    }, true);
+  }
+  $('#options-embedmedia-watch').val(role).on('change', (e) => {
+    role = $(e.currentTarget).val();
+    for (const element of innerDoc.querySelectorAll('.embedMediaPlayer')) prepare(element);
+  });
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+// Parses the many shapes of YouTube links people paste into a video id, playlist and start time.
+
+const hosts = new Set([
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'youtu.be',
+  'youtube-nocookie.com',
+  'www.youtube-nocookie.com',
+]);
+
+const idRe = /^[\w-]{11}$/;
+const listRe = /^[\w-]+$/;
+
+// Accepts "90", "90s", "1m30s", "1h2m3s" and "1:30" and returns the number of seconds, or null.
+exports.parseTime = (value) => {
+  if (value == null) return null;
+  value = String(value).trim();
+  if (/^\d+$/.test(value)) return Number(value);
+  if (/^\d+(?::\d{1,2}){1,2}$/.test(value)) {
+    return value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  }
+  const m = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(value);
+  if (!m || !(m[1] || m[2] || m[3])) return null;
+  return Number(m[1] || 0) * 3600 + Number(m[2] || 0) * 60 + Number(m[3] || 0);
+};
+
+// Returns {id, list, start, shorts, nocookie} for a YouTube link, or null if it isn't one. id is
+// null for links to a playlist alone, start is in seconds.
+exports.parse = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+  const host = parsed.hostname.toLowerCase();
+  if (!hosts.has(host)) return null;
+
+  // Start times are also found in the fragment, e.g. youtu.be/ID#t=1m30s.
+  const params = new URLSearchParams(parsed.search);
+  for (const [key, value] of new URLSearchParams(parsed.hash.replace(/^#/, ''))) {
+    if (!params.has(key)) params.set(key, value);
+  }
+
+  const path = parsed.pathname.split('/').filter((part) => part !== '');
+  let id = null;
+  let shorts = false;
+  if (host === 'youtu.be') {
+    id = path[0] || null;
+  } else if (path[0] === 'watch') {
+    id = params.get('v');
+  } else if (['shorts', 'live', 'embed', 'v', 'e'].includes(path[0])) {
+    id = path[1] || null;
+    shorts = path[0] === 'shorts';
+  } else if (path[0] !== 'playlist') {
+    return null;
+  }
+  if (id === 'videoseries') id = null;
+  if (id != null && !idRe.test(id)) return null;
+
+  const list = listRe.test(params.get('list') || '') ? params.get('list') : null;
+  if (id == null && list == null) return null;
+
+  const start = exports.parseTime(params.get('t') || params.get('start') ||
+                                  params.get('time_continue'));
+
+  return {id, list, start, shorts, nocookie: host.endsWith('youtube-nocookie.com')};
+};
+
+// Returns the address of the player for the result of parse().
+exports.embedSrc = ({id, list, start, nocookie}) => {
+  const query = new URLSearchParams();
+  if (list) query.set('list', list);
+  if (start) query.set('start', String(start));
+  const host = nocookie ? 'www.youtube-nocookie.com' : 'www.youtube.com';
+  const search = query.toString();
+  return `https://${host}/embed/${id || 'videoseries'}${search ? `?${search}` : ''}`;
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('assert').strict;
+const attribute = require('../../../js/attribute');
+const Changeset = require('ep_etherpad-lite/static/js/Changeset');
+const common = require('ep_etherpad-lite/tests/backend/common');
+const padManager = require('ep_etherpad-lite/node/db/PadManager');
+const {randomString} = require('ep_etherpad-lite/static/js/pad_utils');
+
+describe(__filename, function () {
+  const url = 'https://www.youtube.com/watch?v=AqTMAkNc6nA';
+  let agent;
+  let auth;
+  let padId;
+
+  const embedsUrl = () => `/ep_embedmedia/api/pads/${padId}/embeds`;
+
+  before(async function () {
+    agent = await common.init();
+  });
+
+  beforeEach(async function () {
+    auth = await common.generateJWTToken();
+    padId = `ep_embedmedia_api_${randomString(10)}`;
+    const pad = await padManager.getPad(padId, 'first\nsecond\n');
+    await pad.appendRevision(Changeset.makeSplice(pad.text(), 'first\n'.length, 0, 'E',
+        [['embedMedia', attribute.stringify({provider: 'youtube', url})]], pad.pool));
+  });
+
+  afterEach(async function () {
+    if (await padManager.doesPadExist(padId)) await (await padManager.getPad(padId)).remove();
+  });
+
+  it('refuses requests without credentials', async function () {
+    await agent.get(embedsUrl()).expect(401);
+    await agent.post(embedsUrl()).send({code: url}).expect(401);
+    assert.equal((await padManager.getPad(padId)).text(), 'first\nEsecond\n');
+  });
+
+  it('lists the embeds of a pad', async function () {
+    const res = await agent.get(embedsUrl()).set('Authorization', auth).expect(200);
+    const fields = ['index', 'line', 'column', 'url', 'provider', 'status'];
+    const summary = (embed) => Object.fromEntries(fields.map((name) => [name, embed[name]]));
+    assert.deepEqual(res.body.map(summary), [
+      {index: 0, line: 1, column: 0, url, provider: 'youtube', status: 'ok'},
+    ]);
+  });
+
+  it('answers 404 for pads that don\'t exist', async function () {
+    await agent.get('/ep_embedmedia/api/pads/ep_embedmedia_api_none/embeds')
+        .set('Authorization', auth).expect(404);
+  });
+
+  it('inserts embeds on a line of their own', async function () {
+    const link = 'https://vimeo.com/76979871';
+    const res = await agent.post(embedsUrl()).set('Authorization', auth)
+        .send({line: 0, code: link, title: 'Talk', align: 'center'}).expect(201);
+    assert.equal(res.body.line, 0);
+    assert.equal(res.body.provider, 'vimeo');
+    assert.equal(res.body.title, 'Talk');
+    const pad = await padManager.getPad(padId);
+    assert.equal(pad.text(), 'E\nfirst\nEsecond\n');
+    const {body} = await agent.get(embedsUrl()).set('Authorization', auth).expect(200);
+    assert.deepEqual(body.map(({line, url}) => [line, url]), [[0, link], [2, url]]);
+  });
+
+  it('appends embeds after the last line', async function () {
+    await agent.post(embedsUrl()).set('Authorization', auth)
+        .send({code: 'https://a.example/cat.png', alt: 'A cat'}).expect(201);
+    assert.equal((await padManager.getPad(padId)).text(), 'first\nEsecond\nE\n');
+  });
+
+  it('rejects what can\'t be embedded', async function () {
+    await agent.post(embedsUrl()).set('Authorization', auth).send({code: 'nothing'}).expect(400);
+    await agent.post(embedsUrl()).set('Authorization', auth)
+        .send({code: 'https://a.example/cat.png'}).expect(400);
+    await agent.post(embedsUrl()).set('Authorization', auth)
+        .send({code: url, line: 10}).expect(400);
+    assert.equal((await padManager.getPad(padId)).text(), 'first\nEsecond\n');
+  });
+
+  it('updates the options of an embed and keeps the others', async function () {
+    await agent.patch(`${embedsUrl()}/0`).set('Authorization', auth)
+        .send({caption: 'The demo', start: '1:30'}).expect(200);
+    await agent.patch(`${embedsUrl()}/0`).set('Authorization', auth)
+        .send({size: 'small'}).expect(200);
+    const {body: [embed]} = await agent.get(embedsUrl()).set('Authorization', auth).expect(200);
+    assert.deepEqual(attribute.parse(embed.value),
+        {...attribute.parse(embed.value), caption: 'The demo', start: 90, size: 'small'});
+    await agent.patch(`${embedsUrl()}/1`).set('Authorization', auth)
+        .send({size: 'small'}).expect(404);
+  });
+
+  it('replaces the source of an embed and keeps its layout', async function () {
+    await agent.patch(`${embedsUrl()}/0`).set('Authorization', auth)
+        .send({title: 'Old video', start: '1:30', align: 'center', caption: 'The demo'})
+        .expect(200);
+    const link = 'https://vimeo.com/76979871';
+    const res = await agent.patch(`${embedsUrl()}/0`).set('Authorization', auth)
+        .send({code: link}).expect(200);
+    assert.equal(res.body.url, link);
+    assert.notEqual(res.body.title, 'Old video');
+    const record = attribute.parse(res.body.value);
+    assert.equal(record.start, undefined);
+    assert.equal(record.align, 'center');
+    assert.equal(record.caption, 'The demo');
+    assert.equal((await padManager.getPad(padId)).text(), 'first\nEsecond\n');
+  });
+
+  it('removes embeds, or turns them back into their links', async function () {
+    await agent.delete(`${embedsUrl()}/0?link=true`).set('Authorization', auth).expect(204);
+    assert.equal((await padManager.getPad(padId)).text(), `first\n${url}second\n`);
+    await agent.delete(`${embedsUrl()}/0`).set('Authorization', auth).expect(404);
+  });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const assert = require('assert').strict;
+const attribute = require('../../../js/attribute');
+const shared = require('../../../js/shared');
+const timestamps = require('../../../js/timestamps');
+
+describe(__filename, function () {
+  describe('format', function () {
+    it('round-trips records', async function () {
+      const record = {
+        provider: 'youtube',
+        id: 'dQw4w9WgXcQ',
+        url: 'https://youtu.be/dQw4w9WgXcQ?t=90',
+        start: 90,
+        ratio: 1.778,
+        title: "Don't \"quote\" <me> & me; a=b::c",
+      };
+      assert.deepEqual(attribute.parse(attribute.stringify(record)), record);
+    });
+
+    it('is safe to use in class names and HTML attributes', async function () {
+      const value = attribute.stringify({title: 'a b\t"\'<>&::;=', html: '<iframe></iframe>'});
+      assert.doesNotMatch(value, /[\s"'<>&]|::/);
+    });
+
+    it('writes fields in a stable order and leaves out empty ones', async function () {
+      assert.equal(attribute.stringify({start: 5, url: 'https://a.example/', title: '', id: null}),
+          'v1;u=https%3A%2F%2Fa.example%2F;t=5');
+    });
+
+    it('ignores unknown fields and invalid numbers', async function () {
+      assert.deepEqual(attribute.parse('v1;u=https%3A%2F%2Fa.example%2F;x=1;t=abc;w=%E0'),
+          {url: 'https://a.example/'});
+    });
+
+    it('tells legacy values apart', async function () {
+      assert(attribute.isLegacy(escape('https://youtu.be/dQw4w9WgXcQ')));
+      assert(attribute.isLegacy(escape('<iframe src="x"></iframe>')));
+      assert(!attribute.isLegacy('v1;u=x'));
+    });
+  });
+
+  describe('values', function () {
+    const url = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1m30s';
+
+    it('stores the provider, media id and start time of links', async function () {
+      assert.deepEqual(shared.recordFromCode(url),
+          {provider: 'youtube', id: 'dQw4w9WgXcQ', url, start: 90});
+    });
+
+    it('renders legacy values', async function () {
+      assert.match(shared.renderValue(escape(url)),
+          /src="https:\/\/www\.youtube\.com\/embed\/dQw4w9WgXcQ\?start=90"/);
+      assert.equal(shared.valueUrl(escape(url)), url);
+    });
+
+    it('migrates legacy values', async function () {
+      assert.equal(shared.cleanValue(escape(url)),
+          attribute.stringify({provider: 'youtube', id: 'dQw4w9WgXcQ', url, start: 90}));
+      assert.equal(shared.cleanValue(escape('<iframe src="https://a.example/"></iframe>')),
+          attribute.stringify({html: '<iframe src="https://a.example/"></iframe>'}));
+      assert.equal(shared.cleanValue(escape('not embeddable')), null);
+    });
+
+    it('renders with the stored options', async function () {
+      const value = attribute.stringify({url, start: 5, ratio: 2, title: 'A "video"'});
+      const player = shared.renderValue(value);
+      assert.match(player, /src="https:\/\/www\.youtube\.com\/embed\/dQw4w9WgXcQ\?start=5"/);
+      assert.match(player, /width="420" height="210"/);
+      assert.match(player, /title="A &quot;video&quot;"/);
+    });
+
+    it('checks links and code from untrusted values', async function () {
+      assert.equal(shared.cleanValue(attribute.stringify({url: 'ftp://a.example/'})), null);
+      assert.equal(
+          shared.cleanValue(attribute.stringify({html: '<iframe src="https://a.example/"></iframe><script>x</script>'})),
+          attribute.stringify({html: '<iframe src="https://a.example/"></iframe>'}));
+    });
+
+    it('drops links that can\'t be parsed', async function () {
+      for (const link of ['https://a:b', 'https://[', 'http://x:99999/']) {
+        assert.equal(shared.isLink(link), false, link);
+        assert.equal(shared.cleanValue(attribute.stringify({url: link})), null, link);
+        const record = {html: `<iframe src="${link}"></iframe>`};
+        assert.equal(shared.embedUrl(record), null, link);
+        assert.equal(shared.embedTitle(record), null, link);
+        assert.doesNotThrow(() => shared.renderFacade(record), link);
+        assert.equal(timestamps.parse(attribute.stringify({url: link, start: 1})), null, link);
+      }
+    });
+  });
+
+  describe('layout', function () {
+    const url = 'https://vimeo.com/1';
+
+    it('sizes players by preset, width or aspect ratio', async function () {
+      assert.match(shared.renderEmbed({url, size: 'small'}), /width="320" height="180"/);
+      assert.match(shared.renderEmbed({url, width: 400, ratio: 1}), /width="400" height="400"/);
+      assert.match(shared.renderEmbed({url, size: 'full'}), /width="100%" height="360"/);
+      assert.deepEqual(shared.frameStyles({url, size: 'full', align: 'center'}), {
+        frame: 'display:block;margin-left:auto;margin-right:auto',
+        player: 'aspect-ratio:1.78',
+      });
+      assert.deepEqual(shared.frameStyles({url, width: 300, align: 'right'}),
+          {frame: 'width:300px;max-width:100%;display:block;margin-left:auto',
+            player: 'aspect-ratio:1.78'});
+    });
+
+    it('resizes embed code only when a size is chosen', async function () {
+      const html = '<iframe src="https://a.example/" width="400" height="300"></iframe>';
+      assert.match(shared.renderEmbed({html}), /width="400" height="300"/);
+      assert.match(shared.renderEmbed({html, size: 'small'}), /width="320" height="240"/);
+      assert.equal(shared.frameStyles({html: '<iframe src="https://a.example/"></iframe>'}).player,
+          '');
+    });
+
+    it('drops invalid layout fields', async function () {
+      const value = attribute.stringify({url, size: 'huge', align: 'top', width: -5, ratio: 0});
+      assert.deepEqual(shared.parseValue(value), {url});
+    });
+  });
+});
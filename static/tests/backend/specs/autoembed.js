@@ -0,0 +1,38 @@
+'use strict';
+
+const assert = require('assert').strict;
+const attribute = require('../../../js/attribute');
+const autoEmbed = require('../../../js/autoembed');
+const policy = require('../../../js/policy');
+
+describe(__filename, function () {
+  afterEach(async function () {
+    policy.configure();
+  });
+
+  describe('linkValue()', function () {
+    it('converts links that can be played right away', async function () {
+      assert.deepEqual(attribute.parse(autoEmbed.linkValue(' https://vimeo.com/76979871\n')),
+          {provider: 'vimeo', id: '76979871', url: 'https://vimeo.com/76979871'});
+      assert.deepEqual(attribute.parse(autoEmbed.linkValue('https://a.example/talk.mp4')),
+          {type: 'video', url: 'https://a.example/talk.mp4'});
+    });
+
+    it('leaves other text alone', async function () {
+      for (const text of [
+        'https://a.example/article',
+        'https://a.example/cat.png', // images need an alternative text
+        'see https://vimeo.com/76979871',
+        '<iframe src="https://a.example/"></iframe>',
+        '',
+      ]) {
+        assert.equal(autoEmbed.linkValue(text), null, text);
+      }
+    });
+
+    it('leaves links blocked by policy alone', async function () {
+      policy.configure({blockedHosts: ['vimeo.com']});
+      assert.equal(autoEmbed.linkValue('https://vimeo.com/76979871'), null);
+    });
+  });
+});
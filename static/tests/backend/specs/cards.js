@@ -0,0 +1,128 @@
+'use strict';
+
+const assert = require('assert').strict;
+const cards = require('../../../../cards');
+const common = require('ep_etherpad-lite/tests/backend/common');
+const http = require('http');
+const settings = require('ep_etherpad-lite/node/utils/Settings');
+
+describe(__filename, function () {
+  let agent;
+  let backup;
+  let stub;
+  let base;
+  let requests;
+
+  const article = `<!doctype html>
+<html><head>
+  <title>Fallback title</title>
+  <meta property="og:title" content="An &quot;article&quot;">
+  <meta property='og:site_name' content='The Example Times'>
+  <meta name="description" content="What
+    happened today">
+  <meta property="og:image" content="/story.png">
+</head><body><meta property="og:title" content="Not in the head"></body></html>`;
+
+  // A local web site answering according to the requested path.
+  const respond = (req, res) => {
+    requests.push(req.url);
+    switch (req.url) {
+      case '/article':
+        res.setHeader('content-type', 'text/html; charset=utf-8');
+        return res.end(article);
+      case '/plain':
+        res.setHeader('content-type', 'text/html');
+        return res.end('<html><head><title> Just a title </title></head></html>');
+      case '/empty': res.setHeader('content-type', 'text/html'); return res.end('<p>hi</p>');
+      case '/file': res.setHeader('content-type', 'application/zip'); return res.end('zip');
+      case '/big': res.setHeader('content-type', 'text/html'); return res.end('x'.repeat(5000));
+      case '/slow': return setTimeout(() => res.end(), 1000);
+      case '/story.png': res.setHeader('content-type', 'image/png'); return res.end('png');
+    }
+    res.statusCode = 404;
+    res.end();
+  };
+
+  const card = (url) => agent.get(`/ep_embedmedia/card?url=${encodeURIComponent(url)}`);
+  const image = (url) => agent.get(`/ep_embedmedia/card/image?url=${encodeURIComponent(url)}`);
+
+  const configure = (cardSettings) => {
+    settings.ep_embedmedia = {
+      ...backup,
+      cards: {enabled: true, timeout: 200, maxBytes: 2000, ...cardSettings},
+    };
+  };
+
+  before(async function () {
+    agent = await common.init();
+    stub = http.createServer(respond);
+    await new Promise((resolve) => stub.listen(0, 'localhost', resolve));
+    base = `http://localhost:${stub.address().port}`;
+    backup = settings.ep_embedmedia;
+  });
+
+  beforeEach(async function () {
+    requests = [];
+    cards.clearCache();
+    configure({allowPrivateAddresses: true});
+  });
+
+  after(async function () {
+    settings.ep_embedmedia = backup;
+    await new Promise((resolve) => stub.close(resolve));
+  });
+
+  it('reads the card a page declares', async function () {
+    const res = await card(`${base}/article`).expect(200);
+    assert.deepEqual(res.body, {
+      title: 'An "article"',
+      description: 'What happened today',
+      site: 'The Example Times',
+      image: `${base}/story.png`,
+    });
+  });
+
+  it('falls back to the title of the page', async function () {
+    const res = await card(`${base}/plain`).expect(200);
+    assert.deepEqual(res.body, {title: 'Just a title', description: null, site: null, image: null});
+  });
+
+  it('caches cards', async function () {
+    await card(`${base}/article`).expect(200);
+    await card(`${base}/article`).expect(200);
+    assert.deepEqual(requests, ['/article']);
+  });
+
+  it('serves the image of a card', async function () {
+    const res = await image(`${base}/article`).expect(200).expect('Content-Type', 'image/png');
+    assert.equal(res.body.toString(), 'png');
+    await image(`${base}/plain`).expect(404);
+  });
+
+  it('reports links to anything but pages with something to show', async function () {
+    await card(`${base}/empty`).expect(404);
+    await card(`${base}/file`).expect(404);
+    await card(`${base}/missing`).expect(502);
+    await card(`${base}/big`).expect(502);
+    await card(`${base}/slow`).expect(504);
+  });
+
+  it('only fetches pages from allowed hosts', async function () {
+    configure({allowPrivateAddresses: true, allowedHosts: ['*.example.com']});
+    await card(`${base}/article`).expect(403);
+    assert.equal(requests.length, 0);
+  });
+
+  it('refuses private addresses', async function () {
+    configure({});
+    await card(`${base}/article`).expect(403);
+    await card('http://127.0.0.1/article').expect(403);
+    assert.equal(requests.length, 0);
+  });
+
+  it('is off by default', async function () {
+    settings.ep_embedmedia = backup;
+    await card(`${base}/article`).expect(404);
+    assert.equal(requests.length, 0);
+  });
+});
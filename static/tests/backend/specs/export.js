@@ -0,0 +1,154 @@
+'use strict';
+
+const assert = require('assert').strict;
+const attribute = require('../../../js/attribute');
+const Changeset = require('ep_etherpad-lite/static/js/Changeset');
+const common = require('ep_etherpad-lite/tests/backend/common');
+const padManager = require('ep_etherpad-lite/node/db/PadManager');
+const {randomString} = require('ep_etherpad-lite/static/js/pad_utils');
+const policy = require('../../../js/policy');
+const readOnlyManager = require('ep_etherpad-lite/node/db/ReadOnlyManager');
+const settings = require('ep_etherpad-lite/node/utils/Settings');
+const shared = require('../../../js/shared');
+const timestamps = require('../../../js/timestamps');
+
+const insertEmbed = async (pad, pos, code) => {
+  await pad.appendRevision(Changeset.makeSplice(
+      pad.text(), pos, 0, 'E', [['embedMedia', escape(code)]], pad.pool));
+};
+
+describe(__filename, function () {
+  const url = 'https://www.youtube.com/watch?v=AqTMAkNc6nA';
+  let agent;
+  let padId;
+
+  before(async function () {
+    agent = await common.init();
+  });
+
+  beforeEach(async function () {
+    padId = `ep_embedmedia_export_${randomString(10)}`;
+    const pad = await padManager.getPad(padId, 'before after\n');
+    await insertEmbed(pad, 'before '.length, url);
+  });
+
+  afterEach(async function () {
+    const pad = await padManager.getPad(padId);
+    await pad.remove();
+  });
+
+  it('HTML export renders the player and a link instead of the placeholder', async function () {
+    const res = await agent.get(`/p/${padId}/export/html`).expect(200);
+    assert.match(res.text, /<iframe [^>]*src="https:\/\/www\.youtube\.com\/embed\/AqTMAkNc6nA"/);
+    assert.match(res.text, /<a href="https:\/\/www\.youtube\.com\/watch\?v=AqTMAkNc6nA">/);
+    assert.doesNotMatch(res.text, /data-embedMedia=/);
+  });
+
+  it('text export replaces the placeholder with the link', async function () {
+    const res = await agent.get(`/p/${padId}/export/txt`).expect(200);
+    assert.equal(res.text, `before ${url}after\n`);
+  });
+
+  it('text export works through the read-only id and for revisions', async function () {
+    const readOnlyId = await readOnlyManager.getReadOnlyId(padId);
+    const res = await agent.get(`/p/${readOnlyId}/export/txt`).expect(200);
+    assert.equal(res.text, `before ${url}after\n`);
+    assert.match(res.headers['content-disposition'], new RegExp(`${readOnlyId}\\.txt`));
+    const first = await agent.get(`/p/${padId}/0/export/txt`).expect(200);
+    assert.equal(first.text, 'before after\n');
+  });
+
+  it('embed code without a source is dropped from the text export', async function () {
+    const pad = await padManager.getPad(padId);
+    await insertEmbed(pad, 0, '<object></object>');
+    const res = await agent.get(`/p/${padId}/export/txt`).expect(200);
+    assert.equal(res.text, `before ${url}after\n`);
+  });
+
+  it('exports embeds stored in the current format', async function () {
+    const pad = await padManager.getPad(padId);
+    await pad.appendRevision(Changeset.makeSplice(pad.text(), 0, 0, 'E', [
+      ['embedMedia', shared.cleanValue(escape('https://vimeo.com/76979871'))],
+    ], pad.pool));
+    const html = await agent.get(`/p/${padId}/export/html`).expect(200);
+    assert.match(html.text, /<iframe [^>]*src="https:\/\/player\.vimeo\.com\/video\/76979871/);
+    const txt = await agent.get(`/p/${padId}/export/txt`).expect(200);
+    assert.equal(txt.text, `https://vimeo.com/76979871before ${url}after\n`);
+  });
+
+  it('keeps the size and alignment chosen for embeds', async function () {
+    const pad = await padManager.getPad(padId);
+    await pad.appendRevision(Changeset.makeSplice(pad.text(), 0, 0, 'E', [
+      ['embedMedia', attribute.stringify({url: 'https://vimeo.com/1', width: 300, align: 'left'})],
+    ], pad.pool));
+    const res = await agent.get(`/p/${padId}/export/html`).expect(200);
+    assert.match(res.text, /style="width:300px;max-width:100%;display:block;margin-right:auto"/);
+    assert.match(res.text, /<iframe width="300" height="169" /);
+  });
+
+  it('exports images as images', async function () {
+    const pad = await padManager.getPad(padId);
+    await pad.appendRevision(Changeset.makeSplice(pad.text(), 0, 0, 'E', [
+      ['embedMedia', attribute.stringify(
+          {type: 'image', url: 'https://a.example/cat.png', alt: 'A cat'})],
+    ], pad.pool));
+    const res = await agent.get(`/p/${padId}/export/html`).expect(200);
+    assert.match(res.text, /<img class="image" src="https:\/\/a\.example\/cat\.png" alt="A cat"/);
+    assert.doesNotMatch(res.text, /<a href="https:\/\/a\.example/);
+  });
+
+  it('exports documents as links to the chosen page', async function () {
+    const pad = await padManager.getPad(padId);
+    await pad.appendRevision(Changeset.makeSplice(pad.text(), 0, 0, 'E', [
+      ['embedMedia', attribute.stringify({type: 'pdf', url: 'https://a.example/a.pdf', page: 3})],
+    ], pad.pool));
+    const html = await agent.get(`/p/${padId}/export/html`).expect(200);
+    assert.match(html.text, /<a href="https:\/\/a\.example\/a\.pdf#page=3">/);
+    const txt = await agent.get(`/p/${padId}/export/txt`).expect(200);
+    assert.equal(txt.text, `https://a.example/a.pdf#page=3before ${url}after\n`);
+  });
+
+  it('exports link cards as links', async function () {
+    const pad = await padManager.getPad(padId);
+    await pad.appendRevision(Changeset.makeSplice(pad.text(), 0, 0, 'E', [
+      ['embedMedia', attribute.stringify(
+          {type: 'link', url: 'https://news.example/story', title: 'A story'})],
+    ], pad.pool));
+    const res = await agent.get(`/p/${padId}/export/html`).expect(200);
+    assert.match(res.text, /<a href="https:\/\/news\.example\/story">A story<\/a>/);
+    assert.doesNotMatch(res.text, /class="card"/);
+  });
+
+  it('exports captions under the player', async function () {
+    const pad = await padManager.getPad(padId);
+    await pad.appendRevision(Changeset.makeSplice(pad.text(), 0, 0, 'E', [
+      ['embedMedia', attribute.stringify(
+          {url: 'https://vimeo.com/1', title: 'A talk', caption: 'The <keynote>'})],
+    ], pad.pool));
+    const res = await agent.get(`/p/${padId}/export/html`).expect(200);
+    assert.match(res.text,
+        /<iframe [^>]*title="A talk"[^>]*><\/iframe><br><em>The &lt;keynote&gt;<\/em><br><a /);
+  });
+
+  it('leaves out players blocked by policy', async function () {
+    policy.configure({blockedHosts: ['*.youtube.com']});
+    try {
+      const res = await agent.get(`/p/${padId}/export/html`).expect(200);
+      assert.doesNotMatch(res.text, /<iframe/);
+      assert.match(res.text, /<a href="https:\/\/www\.youtube\.com\/watch\?v=AqTMAkNc6nA">/);
+    } finally {
+      policy.configure(settings.ep_embedmedia);
+    }
+  });
+
+  it('exports timestamps as links to the media at that time', async function () {
+    const pad = await padManager.getPad(padId);
+    await pad.appendRevision(Changeset.makeSplice(pad.text(), 0, 0, '1:30', [
+      ['embedMediaTime', timestamps.stringify({url, time: 90})],
+    ], pad.pool));
+    const res = await agent.get(`/p/${padId}/export/html`).expect(200);
+    assert.match(res.text,
+        /<a href="https:\/\/www\.youtube\.com\/watch\?v=AqTMAkNc6nA&amp;t=90">1:30<\/a>/);
+    assert.doesNotMatch(res.text, /data-embedMediaTime=/);
+  });
+});
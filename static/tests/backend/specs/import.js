@@ -0,0 +1,79 @@
+'use strict';
+
+const assert = require('assert').strict;
+const AttributeMap = require('ep_etherpad-lite/static/js/AttributeMap');
+const Changeset = require('ep_etherpad-lite/static/js/Changeset');
+const common = require('ep_etherpad-lite/tests/backend/common');
+const importHtml = require('ep_etherpad-lite/node/utils/ImportHtml');
+const padManager = require('ep_etherpad-lite/node/db/PadManager');
+const {randomString} = require('ep_etherpad-lite/static/js/pad_utils');
+const shared = require('../../../js/shared');
+
+const getEmbeds = (pad) => {
+  const embeds = [];
+  for (const op of Changeset.deserializeOps(pad.atext.attribs)) {
+    const value = AttributeMap.fromString(op.attribs, pad.pool).get('embedMedia');
+    if (value) embeds.push(shared.parseValue(value));
+  }
+  return embeds;
+};
+
+describe(__filename, function () {
+  const iframe = '<iframe src="https://www.youtube.com/embed/AqTMAkNc6nA"></iframe>';
+  let agent;
+  let padId;
+
+  const importFile = async (html) => {
+    await agent.post(`/p/${padId}/import`)
+        .attach('file', Buffer.from(html), {filename: '/embed.html', contentType: 'text/html'})
+        .expect(200);
+    return await padManager.getPad(padId);
+  };
+
+  before(async function () {
+    agent = await common.init();
+  });
+
+  beforeEach(async function () {
+    padId = `ep_embedmedia_import_${randomString(10)}`;
+  });
+
+  afterEach(async function () {
+    if (await padManager.doesPadExist(padId)) await (await padManager.getPad(padId)).remove();
+  });
+
+  it('imports an iframe from an HTML file as an embed', async function () {
+    const pad = await importFile(`<html><body><p>watch ${iframe} now</p></body></html>`);
+    assert.deepEqual(getEmbeds(pad), [{html: iframe}]);
+    assert.match(pad.text(), /^watch E now\n/);
+  });
+
+  it('sanitizes imported embed code', async function () {
+    const pad = await importFile(
+        '<html><body><p><video src="https://example.com/a.mp4"><script>x</script></video></p>' +
+        '</body></html>');
+    assert.deepEqual(getEmbeds(pad), [{html: '<video src="https://example.com/a.mp4"></video>'}]);
+  });
+
+  it('imports objects showing a PDF document as one', async function () {
+    const pad = await importFile('<html><body><p><object data="https://example.com/a.pdf" ' +
+        'type="application/pdf"></object></p></body></html>');
+    assert.deepEqual(getEmbeds(pad), [{type: 'pdf', url: 'https://example.com/a.pdf'}]);
+  });
+
+  it('keeps the embed when re-importing an HTML export', async function () {
+    const url = 'https://www.youtube.com/watch?v=AqTMAkNc6nA';
+    const pad = await padManager.getPad(padId, 'x\n');
+    await pad.appendRevision(Changeset.makeSplice(
+        pad.text(), 0, 0, 'E', [['embedMedia', escape(url)]], pad.pool));
+    const exported = (await agent.get(`/p/${padId}/export/html`).expect(200)).text;
+    const reimported = await importFile(exported);
+    assert.deepEqual(getEmbeds(reimported), [{provider: 'youtube', id: 'AqTMAkNc6nA', url}]);
+  });
+
+  it('recognizes the markup the pad renders embeds with', async function () {
+    const pad = await padManager.getPad(padId, '\n');
+    await importHtml.setPadHTML(pad, `<p>a<span class="embedMedia:${escape(iframe)}">E</span></p>`);
+    assert.deepEqual(getEmbeds(pad), [{html: iframe}]);
+  });
+});
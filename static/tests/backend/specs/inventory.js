@@ -0,0 +1,29 @@
+'use strict';
+
+const assert = require('assert').strict;
+const attribute = require('../../../js/attribute');
+const inventory = require('../../../js/inventory');
+const policy = require('../../../js/policy');
+
+describe(__filename, function () {
+  afterEach(async function () {
+    policy.configure();
+  });
+
+  describe('describe()', function () {
+    const vimeo = attribute.stringify(
+        {provider: 'vimeo', id: '76979871', url: 'https://vimeo.com/76979871'});
+
+    it('tells embeds that play apart from those that do not', async function () {
+      assert.equal(inventory.describe(vimeo).status, 'ok');
+      assert.equal(inventory.describe(vimeo).record.provider, 'vimeo');
+      assert.deepEqual(inventory.describe('v1;u=ftp%3A%2F%2Fexample.com%2F'),
+          {record: null, status: 'invalid'});
+    });
+
+    it('reports embeds blocked by policy', async function () {
+      policy.configure({blockedHosts: ['vimeo.com', '*.vimeo.com']});
+      assert.equal(inventory.describe(vimeo).status, 'blocked');
+    });
+  });
+});
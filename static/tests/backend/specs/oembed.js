@@ -0,0 +1,137 @@
+'use strict';
+
+const assert = require('assert').strict;
+const common = require('ep_etherpad-lite/tests/backend/common');
+const http = require('http');
+const oembed = require('../../../../oembed');
+const settings = require('ep_etherpad-lite/node/utils/Settings');
+
+describe(__filename, function () {
+  let agent;
+  let backup;
+  let stub;
+  let requests;
+
+  // A local oEmbed provider answering according to the path of the requested link.
+  const respond = (req, res) => {
+    requests.push(req.url);
+    switch (req.url) {
+      case '/thumb.png': res.setHeader('content-type', 'image/png'); return res.end('png');
+      case '/thumb.svg': res.setHeader('content-type', 'image/svg+xml'); return res.end('<svg/>');
+    }
+    const url = new URL(new URL(req.url, 'http://localhost').searchParams.get('url'));
+    const thumbnail = `http://localhost:${stub.address().port}/thumb${url.pathname.slice(-4)}`;
+    switch (url.pathname) {
+      case '/slow': return setTimeout(() => res.end('{}'), 1000);
+      case '/big': return res.end(JSON.stringify({title: 'x'.repeat(10000)}));
+      case '/missing': res.statusCode = 404; return res.end();
+      case '/garbage': return res.end('not json');
+      case '/video.png': case '/video.svg':
+        return res.end(JSON.stringify({'thumbnail_url': thumbnail}));
+    }
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({
+      'type': 'video',
+      'version': '1.0',
+      'provider_name': 'Stub',
+      'title': 'A video',
+      'thumbnail_url': 'https://media.example/thumb.jpg',
+      'width': 640,
+      'height': 360,
+      'html': '<iframe src="https://media.example/embed/1" onload="alert(1)"></iframe>' +
+          '<script>alert(1)</script>',
+    }));
+  };
+
+  const lookup = (url) => agent.get(`/ep_embedmedia/oembed?url=${encodeURIComponent(url)}`);
+  const thumbnail = (url) => agent.get(`/ep_embedmedia/thumbnail?url=${encodeURIComponent(url)}`);
+
+  before(async function () {
+    agent = await common.init();
+    stub = http.createServer(respond);
+    await new Promise((resolve) => stub.listen(0, 'localhost', resolve));
+    backup = settings.ep_embedmedia;
+    settings.ep_embedmedia = {
+      ...backup,
+      oembed: {
+        providers: [{
+          name: 'Stub',
+          schemes: ['https://media.example/*'],
+          endpoint: `http://localhost:${stub.address().port}/oembed`,
+        }],
+        timeout: 200,
+        maxBytes: 2000,
+      },
+    };
+  });
+
+  beforeEach(async function () {
+    requests = [];
+    oembed.clearCache();
+  });
+
+  after(async function () {
+    settings.ep_embedmedia = backup;
+    await new Promise((resolve) => stub.close(resolve));
+  });
+
+  it('resolves links through the provider', async function () {
+    const res = await lookup('https://media.example/video/1')
+        .expect(200)
+        .expect('Content-Type', /json/);
+    assert.equal(res.body.provider, 'Stub');
+    assert.equal(res.body.title, 'A video');
+    assert.equal(res.body.thumbnail, 'https://media.example/thumb.jpg');
+    assert.equal(res.body.width, 640);
+    assert.equal(res.body.height, 360);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0], '/oembed?url=https%3A%2F%2Fmedia.example%2Fvideo%2F1&format=json');
+  });
+
+  it('sanitizes the markup', async function () {
+    const res = await lookup('https://media.example/video/1').expect(200);
+    assert.match(res.body.html, /<iframe src="https:\/\/media\.example\/embed\/1"/);
+    assert.doesNotMatch(res.body.html, /onload|script/);
+  });
+
+  it('caches responses', async function () {
+    await lookup('https://media.example/video/1').expect(200);
+    await lookup('https://media.example/video/1').expect(200);
+    assert.equal(requests.length, 1);
+  });
+
+  it('only contacts allowed providers', async function () {
+    await lookup('https://elsewhere.example/video/1').expect(404);
+    assert.equal(requests.length, 0);
+  });
+
+  it('rejects requests without a link', async function () {
+    await agent.get('/ep_embedmedia/oembed').expect(400);
+    await lookup('ftp://media.example/video/1').expect(400);
+  });
+
+  it('gives up on slow providers', async function () {
+    await lookup('https://media.example/slow').expect(504);
+  });
+
+  it('rejects responses that are too large', async function () {
+    await lookup('https://media.example/big').expect(502);
+  });
+
+  it('reports provider errors', async function () {
+    await lookup('https://media.example/missing').expect(502);
+    await lookup('https://media.example/garbage').expect(502);
+  });
+
+  it('serves thumbnails', async function () {
+    const res = await thumbnail('https://media.example/video.png')
+        .expect(200)
+        .expect('Content-Type', 'image/png');
+    assert.equal(res.body.toString(), 'png');
+  });
+
+  it('only serves thumbnails that are images', async function () {
+    await thumbnail('https://media.example/video.svg').expect(502);
+    await thumbnail('https://elsewhere.example/video.png').expect(404);
+  });
+});
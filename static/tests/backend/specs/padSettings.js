@@ -0,0 +1,103 @@
+'use strict';
+
+const assert = require('assert').strict;
+const common = require('ep_etherpad-lite/tests/backend/common');
+const padManager = require('ep_etherpad-lite/node/db/PadManager');
+const readOnlyManager = require('ep_etherpad-lite/node/db/ReadOnlyManager');
+const {randomString} = require('ep_etherpad-lite/static/js/pad_utils');
+const padSettings = require('../../../../padSettings');
+
+describe(__filename, function () {
+  let agent;
+  let padId;
+  let socket;
+
+  const sendSettings = async (settings, from = socket) => {
+    await common.sendMessage(from, {
+      type: 'COLLABROOM',
+      component: 'pad',
+      data: {type: 'ep_embedmedia_padSettings', settings},
+    });
+  };
+
+  // Other messages, e.g. about users joining the pad, may arrive first.
+  const waitForCustomMessage = (from) => new Promise((resolve) => {
+    const handler = (message) => {
+      if (message.type !== 'COLLABROOM' || message.data.type !== 'CUSTOM') return;
+      from.off('message', handler);
+      resolve(message);
+    };
+    from.on('message', handler);
+  });
+
+  const connect = async (id = padId) => {
+    const res = await agent.get(`/p/${id}`).expect(200);
+    const newSocket = await common.connect(res);
+    const {type, data: clientVars} = await common.handshake(newSocket, id);
+    assert.equal(type, 'CLIENT_VARS');
+    return {socket: newSocket, clientVars};
+  };
+
+  before(async function () {
+    agent = await common.init();
+  });
+
+  beforeEach(async function () {
+    padId = `ep_embedmedia_padsettings_${randomString(10)}`;
+    await padManager.getPad(padId, '\n');
+    ({socket} = await connect());
+  });
+
+  afterEach(async function () {
+    if (socket != null) socket.close();
+    socket = null;
+    if (await padManager.doesPadExist(padId)) await (await padManager.getPad(padId)).remove();
+  });
+
+  it('follows settings.json until the pad chooses', async function () {
+    const {socket: other, clientVars} = await connect();
+    other.close();
+    assert.deepEqual(clientVars.ep_embedmedia.padSettings, {facade: null, autoEmbed: null});
+  });
+
+  it('saves the settings and sends them to the pad', async function () {
+    const message = common.waitForSocketEvent(socket, 'message');
+    await sendSettings({facade: true});
+    const expected = {facade: true, autoEmbed: null};
+    assert.deepEqual(await message, {
+      type: 'COLLABROOM',
+      data: {type: 'CUSTOM', payload: {padId, ep_embedmedia: {padSettings: expected}}},
+    });
+    const {socket: other, clientVars} = await connect();
+    other.close();
+    assert.deepEqual(clientVars.ep_embedmedia.padSettings, expected);
+  });
+
+  it('ignores invalid settings', async function () {
+    await sendSettings({facade: 'yes'});
+    await sendSettings({autoEmbed: 1});
+    await sendSettings({other: true});
+    assert.deepEqual(await padSettings.get(padId), {facade: null, autoEmbed: null});
+  });
+
+  it('ignores settings from readers', async function () {
+    const {socket: reader} = await connect(await readOnlyManager.getReadOnlyId(padId));
+    try {
+      await sendSettings({facade: true}, reader);
+      const message = waitForCustomMessage(socket);
+      await sendSettings({autoEmbed: false});
+      assert.deepEqual((await message).data.payload.ep_embedmedia.padSettings,
+          {facade: null, autoEmbed: false});
+    } finally {
+      reader.close();
+    }
+  });
+
+  it('forgets the settings of removed pads', async function () {
+    const message = common.waitForSocketEvent(socket, 'message');
+    await sendSettings({facade: false});
+    await message;
+    await (await padManager.getPad(padId)).remove();
+    assert.deepEqual(await padSettings.get(padId), {facade: null, autoEmbed: null});
+  });
+});
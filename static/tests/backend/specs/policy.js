@@ -0,0 +1,55 @@
+'use strict';
+
+const assert = require('assert').strict;
+const policy = require('../../../js/policy');
+const shared = require('../../../js/shared');
+
+describe(__filename, function () {
+  afterEach(async function () {
+    policy.configure();
+  });
+
+  it('allows http and https links from any host by default', async function () {
+    assert.equal(policy.check('https://example.com/'), null);
+    assert.equal(policy.check('http://example.com/'), null);
+    assert.equal(policy.check('//example.com/'), null);
+    assert.equal(policy.check('ftp://example.com/').reason, 'scheme');
+    assert.equal(policy.check('data:text/html,x').reason, 'scheme');
+    assert.equal(policy.check('not a url').reason, 'scheme');
+  });
+
+  it('restricts schemes', async function () {
+    policy.configure({allowedSchemes: ['https:']});
+    assert.equal(policy.check('https://example.com/'), null);
+    assert.deepEqual(policy.check('http://example.com/'),
+        {reason: 'scheme', url: 'http://example.com/', host: 'example.com'});
+  });
+
+  it('restricts hosts', async function () {
+    policy.configure({allowedHosts: ['*.youtube.com', 'Vimeo.com']});
+    assert.equal(policy.check('https://youtube.com/'), null);
+    assert.equal(policy.check('https://www.youtube.com/'), null);
+    assert.equal(policy.check('https://vimeo.com/1'), null);
+    assert.equal(policy.check('https://player.vimeo.com/video/1').reason, 'host');
+    assert.equal(policy.check('https://youtube.com.example.com/').reason, 'host');
+    assert.equal(policy.check('https://notyoutube.com/').reason, 'host');
+  });
+
+  it('blocks hosts', async function () {
+    policy.configure({allowedHosts: ['*.example.com'], blockedHosts: ['bad.example.com']});
+    assert.equal(policy.check('https://good.example.com/'), null);
+    assert.deepEqual(policy.check('https://BAD.example.com/x'),
+        {reason: 'host', url: 'https://BAD.example.com/x', host: 'bad.example.com'});
+  });
+
+  it('checks the link and every address the player loads', async function () {
+    policy.configure({allowedHosts: ['vimeo.com']});
+    const record = shared.recordFromCode('https://vimeo.com/1');
+    assert.equal(shared.checkPolicy(record).host, 'player.vimeo.com');
+    policy.configure({allowedHosts: ['vimeo.com', 'player.vimeo.com']});
+    assert.equal(shared.checkPolicy(record), null);
+    const code = shared.recordFromCode(
+        '<video src="https://vimeo.com/a"><source src="https://evil.example/b"></video>');
+    assert.equal(shared.checkPolicy(code).host, 'evil.example');
+  });
+});
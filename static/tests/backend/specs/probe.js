@@ -0,0 +1,87 @@
+'use strict';
+
+const assert = require('assert').strict;
+const common = require('ep_etherpad-lite/tests/backend/common');
+const http = require('http');
+const settings = require('ep_etherpad-lite/node/utils/Settings');
+
+describe(__filename, function () {
+  let agent;
+  let backup;
+  let stub;
+  let base;
+  let requests;
+
+  // A local file server answering with the type named by the requested path.
+  const respond = (req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    switch (req.url) {
+      case '/video': res.setHeader('content-type', 'video/mp4'); break;
+      case '/audio': res.setHeader('content-type', 'audio/mpeg; charset=binary'); break;
+      case '/page': res.setHeader('content-type', 'text/html'); break;
+      case '/slow': return setTimeout(() => res.end(), 1000);
+      case '/moved': res.statusCode = 302; res.setHeader('location', '/video'); break;
+      default: res.statusCode = 404;
+    }
+    res.end();
+  };
+
+  const probe = (url) => agent.get(`/ep_embedmedia/probe?url=${encodeURIComponent(url)}`);
+
+  const configure = (probeSettings) => {
+    settings.ep_embedmedia = {...backup, probe: {enabled: true, timeout: 200, ...probeSettings}};
+  };
+
+  before(async function () {
+    agent = await common.init();
+    stub = http.createServer(respond);
+    await new Promise((resolve) => stub.listen(0, 'localhost', resolve));
+    base = `http://localhost:${stub.address().port}`;
+    backup = settings.ep_embedmedia;
+  });
+
+  beforeEach(async function () {
+    requests = [];
+    configure({allowPrivateAddresses: true});
+  });
+
+  after(async function () {
+    settings.ep_embedmedia = backup;
+    await new Promise((resolve) => stub.close(resolve));
+  });
+
+  it('tells audio and video files apart by their type', async function () {
+    assert.deepEqual((await probe(`${base}/video`).expect(200)).body, {type: 'video'});
+    assert.deepEqual((await probe(`${base}/audio`).expect(200)).body, {type: 'audio'});
+    assert.deepEqual(requests, ['HEAD /video', 'HEAD /audio']);
+  });
+
+  it('reports links to anything else', async function () {
+    await probe(`${base}/page`).expect(404);
+    await probe(`${base}/missing`).expect(502);
+    await probe(`${base}/moved`).expect(502);
+  });
+
+  it('gives up on slow servers', async function () {
+    await probe(`${base}/slow`).expect(504);
+  });
+
+  it('rejects requests without a link', async function () {
+    await agent.get('/ep_embedmedia/probe').expect(400);
+    await probe('ftp://localhost/video').expect(400);
+  });
+
+  it('refuses private addresses', async function () {
+    configure({});
+    await probe(`${base}/video`).expect(403);
+    await probe('http://127.0.0.1/video').expect(403);
+    await probe('http://[::1]/video').expect(403);
+    assert.equal(requests.length, 0);
+  });
+
+  it('is off by default', async function () {
+    settings.ep_embedmedia = backup;
+    await probe(`${base}/video`).expect(404);
+    assert.equal(requests.length, 0);
+  });
+});
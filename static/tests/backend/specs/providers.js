@@ -0,0 +1,186 @@
+'use strict';
+
+const assert = require('assert').strict;
+const providers = require('../../../js/providers');
+
+describe(__filename, function () {
+  describe('built-in providers', function () {
+    const cases = [
+      {
+        url: 'https://www.youtube.com/watch?v=AqTMAkNc6nA',
+        provider: 'youtube',
+        src: 'https://www.youtube.com/embed/AqTMAkNc6nA',
+      },
+      {
+        url: 'https://vimeo.com/76979871',
+        provider: 'vimeo',
+        src: 'https://player.vimeo.com/video/76979871?color=ffffff',
+      },
+      {
+        url: 'https://www.dailymotion.com/video/x7tgad0',
+        provider: 'dailymotion',
+        src: 'https://www.dailymotion.com/embed/video/x7tgad0',
+      },
+      {
+        url: 'https://dai.ly/x7tgad0',
+        provider: 'dailymotion',
+        src: 'https://www.dailymotion.com/embed/video/x7tgad0',
+      },
+      {
+        url: 'https://soundcloud.com/artist/track-name',
+        provider: 'soundcloud',
+        src: 'https://w.soundcloud.com/player/?url=https%3A%2F%2Fsoundcloud.com%2Fartist%2Ftrack-name',
+      },
+      {
+        url: 'https://open.spotify.com/intl-de/track/4uLU6hMCjMI75M1A2tKUQC',
+        provider: 'spotify',
+        src: 'https://open.spotify.com/embed/track/4uLU6hMCjMI75M1A2tKUQC',
+      },
+      {
+        url: 'https://www.twitch.tv/videos/123456',
+        provider: 'twitch',
+        src: 'https://player.twitch.tv/?video=123456&parent=localhost',
+      },
+      {
+        url: 'https://clips.twitch.tv/FunnyClip-abc',
+        provider: 'twitch',
+        src: 'https://clips.twitch.tv/embed?clip=FunnyClip-abc&parent=localhost',
+      },
+      {
+        url: 'https://www.twitch.tv/somechannel',
+        provider: 'twitch',
+        src: 'https://player.twitch.tv/?channel=somechannel&parent=localhost',
+      },
+      {
+        url: 'https://framatube.org/w/9c9de5e8-0a1e-484a-b099-e80766180a6d',
+        provider: 'peertube',
+        src: 'https://framatube.org/videos/embed/9c9de5e8-0a1e-484a-b099-e80766180a6d',
+      },
+      {
+        url: 'https://www.loom.com/share/0281766fa2d04bb788eaf19e65135184',
+        provider: 'loom',
+        src: 'https://www.loom.com/embed/0281766fa2d04bb788eaf19e65135184',
+      },
+      {
+        url: 'https://www.google.com/maps/place/Eiffel+Tower/@48.8583701,2.2944813,17z',
+        provider: 'googlemaps',
+        src: 'https://maps.google.com/maps?q=Eiffel%20Tower&z=17&output=embed',
+      },
+      {
+        url: 'http://maps.google.co.uk/maps/embed?pb=!1m18!1m12&src=https://evil.example/',
+        provider: 'googlemaps',
+        src: 'https://www.google.com/maps/embed?pb=!1m18!1m12',
+      },
+      {
+        url: 'https://www.figma.com/file/abc123/Design',
+        provider: 'figma',
+        src: 'https://www.figma.com/embed?embed_host=etherpad&url=https%3A%2F%2Fwww.figma.com%2Ffile%2Fabc123%2FDesign',
+      },
+      {
+        url: 'https://docs.google.com/document/d/1AbC-dEf_2/edit?usp=sharing',
+        provider: 'googledocs',
+        src: 'https://docs.google.com/document/d/1AbC-dEf_2/preview',
+      },
+      {
+        url: 'https://docs.google.com/presentation/d/1AbC-dEf_2/edit#slide=id.p',
+        provider: 'googledocs',
+        src: 'https://docs.google.com/presentation/d/1AbC-dEf_2/embed?start=false',
+      },
+      {
+        url: 'https://files.example.com/plans/roadmap.pptx?download=1',
+        provider: 'office',
+        src: 'https://view.officeapps.live.com/op/embed.aspx?src=https%3A%2F%2Ffiles.example.com%2Fplans%2Froadmap.pptx%3Fdownload%3D1',
+      },
+      {
+        url: 'https://miro.com/app/board/uXjVOabc=/',
+        provider: 'miro',
+        src: 'https://miro.com/app/live-embed/uXjVOabc=/',
+      },
+    ];
+
+    for (const {url, provider, src} of cases) {
+      it(url, async function () {
+        const media = providers.find(url);
+        assert(media, 'no provider matched');
+        assert.equal(media.provider, provider);
+        assert.equal(media.src, src);
+        assert(media.width > 0 && media.height > 0);
+      });
+    }
+
+    it('starts players at the chosen time', async function () {
+      const src = (url) => providers.find(url, {start: 90}).src;
+      assert.equal(src('https://youtu.be/AqTMAkNc6nA?t=10'),
+          'https://www.youtube.com/embed/AqTMAkNc6nA?start=90');
+      assert.equal(src('https://vimeo.com/76979871'),
+          'https://player.vimeo.com/video/76979871?color=ffffff#t=90s');
+      assert.equal(src('https://dai.ly/x7tgad0'),
+          'https://www.dailymotion.com/embed/video/x7tgad0?start=90');
+    });
+
+    it('opens documents at the chosen page', async function () {
+      assert.equal(
+          providers.find('https://docs.google.com/presentation/d/1AbC/edit', {page: 3}).src,
+          'https://docs.google.com/presentation/d/1AbC/embed?start=false#slide=3');
+    });
+
+    it('returns null for unsupported links', async function () {
+      assert.equal(providers.find('https://example.com/some/page'), null);
+    });
+
+    it('only takes maps from Google', async function () {
+      for (const url of [
+        'https://maps.google.evil.example/maps/embed?pb=!1m18',
+        'https://www.google.co.evil.example/maps/place/Paris',
+        'https://google.com.evil.example/maps?q=Paris',
+      ]) {
+        assert.equal(providers.find(url), null, url);
+      }
+    });
+  });
+
+  describe('registration', function () {
+    afterEach(async function () {
+      providers.unregister('test');
+    });
+
+    it('registered providers are used', async function () {
+      providers.register({
+        name: 'test',
+        match: [/^https:\/\/media\.example\.com\/(\d+)$/],
+        embed: (m) => ({src: `https://media.example.com/embed/${m[1]}`, height: 100}),
+      });
+      assert.deepEqual(providers.find('https://media.example.com/42'), {
+        provider: 'test', src: 'https://media.example.com/embed/42', width: 420, height: 100,
+      });
+      assert(providers.list().includes('test'));
+    });
+
+    it('can override and restore a built-in provider', async function () {
+      providers.register({
+        name: 'test',
+        match: [/^https:\/\/www\.youtube\.com\//],
+        embed: () => ({src: 'https://proxy.example.com/'}),
+      });
+      assert.equal(providers.find('https://www.youtube.com/watch?v=dQw4w9WgXcQ').provider, 'test');
+      providers.unregister('test');
+      assert.equal(providers.find('https://www.youtube.com/watch?v=dQw4w9WgXcQ').provider, 'youtube');
+    });
+
+    it('builds providers from settings definitions', async function () {
+      providers.register(providers.fromDefinition({
+        name: 'test',
+        match: ['^https://video\\.example\\.com/v/([\\w ]+)$'],
+        src: 'https://video.example.com/embed/$1',
+        width: 640,
+      }));
+      assert.deepEqual(providers.find('https://video.example.com/v/a b'), {
+        provider: 'test', src: 'https://video.example.com/embed/a%20b', width: 640, height: 315,
+      });
+    });
+
+    it('rejects providers without an embed function', async function () {
+      assert.throws(() => providers.register({name: 'test'}), TypeError);
+    });
+  });
+});
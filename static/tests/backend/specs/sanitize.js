@@ -0,0 +1,264 @@
+'use strict';
+
+const assert = require('assert').strict;
+const attribute = require('../../../js/attribute');
+const policy = require('../../../js/policy');
+const shared = require('../../../js/shared');
+
+describe(__filename, function () {
+  afterEach(async function () {
+    policy.configure();
+  });
+
+  describe('sanitize()', function () {
+    const cases = [
+      {
+        name: 'keeps the attributes players need',
+        code: '<iframe src="https://a.example/" width="560" height="315" frameborder="0" ' +
+            'title="A video" allowfullscreen></iframe>',
+        want: '<iframe src="https://a.example/" width="560" height="315" frameborder="0" ' +
+            'title="A video" allowfullscreen="allowfullscreen"></iframe>',
+      },
+      {
+        name: 'drops event handlers',
+        code: '<iframe src="https://a.example/" onload="alert(1)" ONERROR="alert(1)"></iframe>',
+        want: '<iframe src="https://a.example/"></iframe>',
+      },
+      {
+        name: 'drops srcdoc',
+        code: '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+        want: '<iframe></iframe>',
+      },
+      {
+        name: 'drops script URLs',
+        code: '<iframe src="javascript:alert(1)"></iframe>' +
+            '<video src="data:text/html,x"></video>',
+        want: '<iframe></iframe><video></video>',
+      },
+      {
+        name: 'drops relative URLs',
+        code: '<iframe src="/admin"></iframe>',
+        want: '<iframe></iframe>',
+      },
+      {
+        name: 'forces https',
+        code: '<iframe src="http://a.example/"></iframe><video src="//b.example/x.mp4"></video>',
+        want: '<iframe src="https://a.example/"></iframe><video src="https://b.example/x.mp4">' +
+            '</video>',
+      },
+      {
+        name: 'drops styles, ids and classes',
+        code: '<iframe src="https://a.example/" style="position:fixed" id="x" class="y"></iframe>',
+        want: '<iframe src="https://a.example/"></iframe>',
+      },
+      {
+        name: 'drops sandbox, allow and referrerpolicy',
+        code: '<iframe src="https://a.example/" sandbox="allow-top-navigation" allow="camera" ' +
+            'referrerpolicy="unsafe-url"></iframe>',
+        want: '<iframe src="https://a.example/"></iframe>',
+      },
+      {
+        name: 'keeps audio and video players',
+        code: '<video src="https://a.example/v.mp4" poster="javascript:alert(1)" controls ' +
+            'autoplay onplay="alert(1)"><source src="https://a.example/v.webm" type="video/webm">' +
+            '<track kind="captions" src="https://a.example/v.vtt" srclang="en" default></video>' +
+            '<audio src="https://a.example/a.mp3" controls></audio>',
+        want: '<video src="https://a.example/v.mp4" controls="controls">' +
+            '<source src="https://a.example/v.webm" type="video/webm">' +
+            '<track kind="captions" src="https://a.example/v.vtt" srclang="en" default="default">' +
+            '</video><audio src="https://a.example/a.mp3" controls="controls"></audio>',
+      },
+      {
+        name: 'drops objects and embeds',
+        code: '<object data="https://a.example/x" type="application/pdf">' +
+            '<param name="view" value="Fit"></object><embed src="https://a.example/x.pdf">',
+        want: '',
+      },
+    ];
+
+    for (const {name, code, want} of cases) {
+      it(name, async function () {
+        assert.equal(shared.sanitize(code), want);
+      });
+    }
+  });
+
+  describe('checking modal input', function () {
+    it('tells why code can\'t be embedded', async function () {
+      assert.deepEqual(shared.checkCode('  '), {record: null, error: 'empty'});
+      assert.deepEqual(shared.checkCode('just words'), {record: null, error: 'invalid'});
+      assert.deepEqual(shared.checkCode('<script>alert(1)</script>'),
+          {record: null, error: 'unsafe'});
+      assert.equal(shared.checkCode('https://vimeo.com/1').record.provider, 'vimeo');
+    });
+
+    it('tells why a record can\'t be embedded', async function () {
+      assert.deepEqual(shared.checkRecord(shared.recordFromCode('https://vimeo.com/1')),
+          {error: null, violation: null});
+      assert.equal(shared.checkRecord({url: 'https://a.example/'}).error, 'unsupported');
+      policy.configure({blockedHosts: ['*.vimeo.com']});
+      const {error, violation} = shared.checkRecord(shared.recordFromCode('https://vimeo.com/1'));
+      assert.equal(error, 'blocked');
+      assert.equal(violation.reason, 'host');
+    });
+  });
+
+  describe('rendering', function () {
+    const code = '<iframe src="https://a.example/" sandbox="allow-top-navigation"></iframe>';
+
+    it('adds the configured attributes to every iframe', async function () {
+      policy.configure({iframe: {sandbox: 'allow-scripts', allow: 'fullscreen'}});
+      assert.equal(shared.renderEmbed({html: code}),
+          '<iframe src="https://a.example/" title="a.example" sandbox="allow-scripts" ' +
+          'allow="fullscreen" referrerpolicy="strict-origin-when-cross-origin"></iframe>');
+      assert.match(shared.renderEmbed(shared.recordFromCode('https://vimeo.com/1')),
+          / sandbox="allow-scripts" allow="fullscreen" referrerpolicy="[^"]+"><\/iframe>$/);
+    });
+
+    it('gives every player an accessible name', async function () {
+      assert.match(shared.renderEmbed({...shared.recordFromCode('https://vimeo.com/1'),
+        title: 'A <talk>'}), / title="A &lt;talk&gt;" /);
+      assert.match(shared.renderEmbed(shared.recordFromCode('https://vimeo.com/1')),
+          / title="vimeo\.com" /);
+      assert.match(shared.renderEmbed({html: '<iframe src="https://a.example/" title="Map">'}),
+          /^<iframe src="https:\/\/a\.example\/" title="Map" sandbox=/);
+    });
+
+    it('sandboxes iframes by default', async function () {
+      assert.match(shared.renderEmbed({html: code}), / sandbox="allow-scripts [^"]*"/);
+      assert.doesNotMatch(shared.renderEmbed({html: code}), /allow-top-navigation/);
+    });
+
+    it('loads nothing from the media\'s site in click-to-load cards', async function () {
+      const record = {
+        url: 'https://vimeo.com/1',
+        title: 'A <video>',
+        thumbnail: 'https://i.vimeocdn.com/1.jpg',
+      };
+      const card = shared.renderFacade(record);
+      assert.match(card, /src='\.\.\/ep_embedmedia\/thumbnail\?url=https%3A%2F%2Fvimeo\.com%2F1'/);
+      assert.match(card, /<span class='title' data-title='A &lt;video&gt;'><\/span>/);
+      assert.doesNotMatch(card, /vimeocdn|<iframe/);
+      assert.match(shared.renderFacade({html: code}),
+          /<span class='title' data-title='a\.example'>/);
+    });
+
+    // Text in a line is collected into the pad's text.
+    it('keeps text out of click-to-load cards', async function () {
+      const card = shared.renderFacade({url: 'https://vimeo.com/1', title: 'A video'});
+      assert.doesNotMatch(card, />[^<]/);
+    });
+
+    it('plays links to audio and video files natively', async function () {
+      const video = shared.recordFromCode('https://a.example/talk.MP4?dl=1');
+      assert.deepEqual(video, {type: 'video', url: 'https://a.example/talk.MP4?dl=1'});
+      assert.deepEqual(shared.checkRecord(video), {error: null, violation: null});
+      assert.equal(shared.renderEmbed({
+        ...video,
+        poster: 'https://a.example/talk.jpg',
+        captions: 'https://a.example/talk.vtt',
+        captionsLang: 'en',
+      }), '<video src="https://a.example/talk.MP4?dl=1" controls preload="metadata" width="640" ' +
+          'height="360" poster="https://a.example/talk.jpg"><track kind="captions" ' +
+          'src="https://a.example/talk.vtt" srclang="en" default></video>');
+      assert.equal(shared.renderEmbed(shared.recordFromCode('https://a.example/song.ogg')),
+          '<audio src="https://a.example/song.ogg" controls preload="metadata"></audio>');
+      assert.deepEqual(shared.recordFromCode('https://a.example/mp4'), {url: 'https://a.example/mp4'});
+    });
+
+    it('shows PDF documents with the browser\'s viewer', async function () {
+      assert.equal(shared.renderEmbed(shared.recordFromCode('https://a.example/notes.pdf')),
+          '<object data="https://a.example/notes.pdf" type="application/pdf" width="640" ' +
+          'height="800" title="a.example"></object>');
+      const record = {...shared.recordFromCode('https://a.example/notes.pdf#page=2'), page: 4};
+      assert.match(shared.renderEmbed(record),
+          /^<object data="https:\/\/a\.example\/notes\.pdf#page=4"/);
+      assert.equal(shared.embedUrl(record), 'https://a.example/notes.pdf#page=4');
+    });
+
+    it('turns objects and embeds showing a PDF document into one', async function () {
+      const pdf = {type: 'pdf', url: 'https://a.example/x.pdf'};
+      assert.deepEqual(
+          shared.recordFromCode('<object data="http://a.example/x.pdf" type="text/html"></object>'),
+          pdf);
+      assert.deepEqual(shared.recordFromCode('<embed src="https://a.example/x.pdf">'), pdf);
+      assert.deepEqual(shared.parseValue(attribute.stringify(
+          {html: '<object data="https://a.example/x.pdf"></object>'})), pdf);
+      assert.equal(
+          shared.recordFromCode('<object data="https://a.example/x" type="application/pdf">'), null);
+    });
+
+    it('loads files over https', async function () {
+      for (const type of ['video', 'audio', 'image', 'pdf']) {
+        const player = shared.renderEmbed(
+            {type, url: 'http://a.example/x', poster: 'http://a.example/p.jpg', alt: 'x'});
+        assert.doesNotMatch(player, /http:/, type);
+      }
+    });
+
+    it('checks the poster and captions of files like their link', async function () {
+      const record = {type: 'video', url: 'https://a.example/v.mp4', poster: 'https://b.example/p'};
+      policy.configure({blockedHosts: ['b.example']});
+      assert.equal(shared.checkRecord(record).violation.host, 'b.example');
+      const value = 'v1;ty=video;u=https%3A%2F%2Fa.example%2Fv.mp4;po=javascript%3Ax;cl=%3Cx%3E';
+      assert.deepEqual(shared.parseValue(value), {type: 'video', url: 'https://a.example/v.mp4'});
+    });
+
+    it('shows images with their alternative text', async function () {
+      assert.deepEqual(shared.recordFromCode('https://a.example/cat.jpg'),
+          {type: 'image', url: 'https://a.example/cat.jpg'});
+      const record = shared.recordFromCode(
+          '<img src="https://a.example/cat.jpg" alt="A &quot;cat&quot;" onerror="alert(1)">');
+      assert.deepEqual(record, {type: 'image', url: 'https://a.example/cat.jpg', alt: 'A "cat"'});
+      assert.equal(shared.renderEmbed({...record, size: 'small'}),
+          '<img class="image" src="https://a.example/cat.jpg" alt="A &quot;cat&quot;" ' +
+          'loading="lazy" width="320">');
+    });
+
+    it('only accepts small data: images', async function () {
+      const data = 'data:image/png;base64,iVBORw0KGgo=';
+      assert.deepEqual(shared.checkCode(data), {record: {type: 'image', url: data}, error: null});
+      assert.equal(shared.checkPolicy({type: 'image', url: data}), null);
+      assert.equal(shared.checkCode(`${data}${'A'.repeat(shared.maxDataImageLength)}`).error,
+          'imageTooLarge');
+      assert.equal(shared.checkCode('data:text/html;base64,PHNjcmlwdD4=').error, 'invalid');
+      assert.equal(shared.parseValue(attribute.stringify({url: data})), null);
+    });
+
+    it('shows link cards without loading anything from the page\'s site', async function () {
+      const record = shared.parseValue(attribute.stringify({
+        type: 'link',
+        url: 'https://news.example/story?id=1',
+        title: 'A <story>',
+        description: 'What happened',
+        thumbnail: 'https://cdn.example/story.jpg',
+      }));
+      assert.equal(shared.renderEmbed(record),
+          '<a class="card" href="https://news.example/story?id=1" target="_blank" ' +
+          'rel="noopener noreferrer nofollow" aria-label="A &lt;story&gt;">' +
+          '<img class="cardImage" alt="" loading="lazy" ' +
+          'src="../ep_embedmedia/card/image?url=https%3A%2F%2Fnews.example%2Fstory%3Fid%3D1">' +
+          '<span class="cardText"><span class="cardTitle" data-text="A &lt;story&gt;"></span>' +
+          '<span class="cardDescription" data-text="What happened"></span>' +
+          '<span class="cardSite" data-text="news.example"></span></span></a>');
+      assert.deepEqual(shared.checkRecord(record), {error: null, violation: null});
+      policy.configure({blockedHosts: ['news.example']});
+      assert.equal(shared.checkRecord(record).error, 'blocked');
+    });
+
+    it('writes embeds in Markdown', async function () {
+      assert.equal(shared.valueMarkdown(attribute.stringify(
+          {type: 'image', url: 'https://a.example/a_(1).png', alt: 'A [cat]'})),
+      '![A \\[cat\\]](https://a.example/a_%281%29.png)');
+      assert.equal(shared.valueMarkdown(attribute.stringify(
+          {url: 'https://vimeo.com/1', title: 'A video'})), '[A video](https://vimeo.com/1)');
+      assert.equal(shared.valueMarkdown(attribute.stringify({html: '<object></object>'})), null);
+    });
+
+    it('leaves out attributes configured as null', async function () {
+      policy.configure({iframe: {sandbox: null, allow: null, referrerpolicy: null}});
+      assert.equal(shared.renderEmbed({html: code}),
+          '<iframe src="https://a.example/" title="a.example"></iframe>');
+    });
+  });
+});
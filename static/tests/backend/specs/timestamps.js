@@ -0,0 +1,70 @@
+'use strict';
+
+const assert = require('assert').strict;
+const attribute = require('../../../js/attribute');
+const timestamps = require('../../../js/timestamps');
+
+describe(__filename, function () {
+  describe('parse() and stringify()', function () {
+    it('round-trips timestamps', async function () {
+      const value = timestamps.stringify({url: 'https://vimeo.com/1', time: 90.6});
+      assert.equal(value, 'v1;u=https%3A%2F%2Fvimeo.com%2F1;t=90');
+      assert.deepEqual(timestamps.parse(value), {url: 'https://vimeo.com/1', time: 90});
+    });
+
+    it('rejects values that are not timestamps', async function () {
+      for (const value of [
+        'v1;u=https%3A%2F%2Fvimeo.com%2F1',
+        'v1;u=https%3A%2F%2Fvimeo.com%2F1;t=-1',
+        'v1;u=javascript%3Aalert(1);t=1',
+        escape('https://vimeo.com/1'),
+        '',
+        null,
+      ]) {
+        assert.equal(timestamps.parse(value), null, value);
+        assert.equal(timestamps.cleanValue(value), null, value);
+      }
+    });
+  });
+
+  describe('format() and parseTime()', function () {
+    it('writes times the way people do', async function () {
+      assert.equal(timestamps.format(5), '0:05');
+      assert.equal(timestamps.format(754.9), '12:34');
+      assert.equal(timestamps.format(3723), '1:02:03');
+    });
+
+    it('reads times the way people write them', async function () {
+      assert.equal(timestamps.parseTime(' 12:34 '), 754);
+      assert.equal(timestamps.parseTime('1:02:03'), 3723);
+      assert.equal(timestamps.parseTime('1m30s'), 90);
+      assert.equal(timestamps.parseTime('soon'), null);
+    });
+  });
+
+  describe('embedLink()', function () {
+    it('binds timestamps to players only', async function () {
+      assert.equal(timestamps.embedLink({provider: 'vimeo', url: 'https://vimeo.com/1'}),
+          'https://vimeo.com/1');
+      assert.equal(timestamps.embedLink({type: 'audio', url: 'https://a.example/talk.mp3'}),
+          'https://a.example/talk.mp3');
+      assert.equal(timestamps.embedLink({type: 'image', url: 'https://a.example/cat.png'}), null);
+      assert.equal(timestamps.embedLink(attribute.parse(
+          attribute.stringify({type: 'link', url: 'https://a.example/'}))), null);
+    });
+  });
+
+  describe('deepLink()', function () {
+    it('links to the media at the time', async function () {
+      assert.equal(
+          timestamps.deepLink({url: 'https://www.youtube.com/watch?v=AqTMAkNc6nA', time: 90}),
+          'https://www.youtube.com/watch?v=AqTMAkNc6nA&t=90');
+      assert.equal(timestamps.deepLink({url: 'https://youtu.be/AqTMAkNc6nA?t=5', time: 90}),
+          'https://youtu.be/AqTMAkNc6nA?t=90');
+      assert.equal(timestamps.deepLink({url: 'https://vimeo.com/1', time: 90}),
+          'https://vimeo.com/1#t=90s');
+      assert.equal(timestamps.deepLink({url: 'https://a.example/talk.mp4', time: 90}),
+          'https://a.example/talk.mp4#t=90');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const assert = require('assert').strict;
+const common = require('ep_etherpad-lite/tests/backend/common');
+const fs = require('fs');
+const os = require('os');
+const padManager = require('ep_etherpad-lite/node/db/PadManager');
+const path = require('path');
+const {randomString} = require('ep_etherpad-lite/static/js/pad_utils');
+const readOnlyManager = require('ep_etherpad-lite/node/db/ReadOnlyManager');
+const settings = require('ep_etherpad-lite/node/utils/Settings');
+
+describe(__filename, function () {
+  let agent;
+  let backup;
+  let directory;
+  let padId;
+
+  const upload = (body, type = 'image/png', id = padId) => agent
+      .post(`/p/${encodeURIComponent(id)}/ep_embedmedia/upload`)
+      .set('Content-Type', type)
+      .send(body);
+
+  const media = (name, id = padId) => agent
+      .get(`/p/${encodeURIComponent(id)}/ep_embedmedia/media/${name}`)
+      .buffer(true)
+      .parse((res, cb) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => cb(null, Buffer.concat(chunks)));
+      });
+
+  before(async function () {
+    agent = await common.init();
+    backup = settings.ep_embedmedia;
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ep_embedmedia-'));
+  });
+
+  beforeEach(async function () {
+    settings.ep_embedmedia = {
+      ...backup,
+      uploads: {enabled: true, directory, maxBytes: 100, types: ['image/png', 'video/mp4']},
+    };
+    padId = `ep_embedmedia_uploads_${randomString(10)}`;
+    await padManager.getPad(padId, '\n');
+  });
+
+  afterEach(async function () {
+    if (await padManager.doesPadExist(padId)) await (await padManager.getPad(padId)).remove();
+  });
+
+  after(async function () {
+    settings.ep_embedmedia = backup;
+    await fs.promises.rm(directory, {recursive: true, force: true});
+  });
+
+  it('stores files and serves them to the pad', async function () {
+    const res = await upload(Buffer.from('a png')).expect(200);
+    assert.match(res.body.name, /^[a-f0-9]{32}\.png$/);
+    const file = await media(res.body.name)
+        .expect(200)
+        .expect('Content-Type', 'image/png')
+        .expect('X-Content-Type-Options', 'nosniff')
+        .expect('Content-Security-Policy', 'sandbox');
+    assert.equal(file.body.toString(), 'a png');
+  });
+
+  it('lets browsers show uploaded PDFs', async function () {
+    settings.ep_embedmedia.uploads.types.push('application/pdf');
+    const {body: {name}} = await upload(Buffer.from('%PDF'), 'application/pdf').expect(200);
+    assert.match(name, /\.pdf$/);
+    const res = await media(name).expect(200).expect('Content-Type', 'application/pdf');
+    assert.equal(res.headers['content-security-policy'], undefined);
+  });
+
+  it('serves ranges of files', async function () {
+    const {body: {name}} = await upload(Buffer.from('0123456789'), 'video/mp4').expect(200);
+    const res = await media(name)
+        .set('Range', 'bytes=2-4')
+        .expect(206)
+        .expect('Content-Range', 'bytes 2-4/10');
+    assert.equal(res.body.toString(), '234');
+    await media(name).set('Range', 'bytes=20-').expect(416);
+  });
+
+  it('enforces the size and type limits', async function () {
+    await upload(Buffer.alloc(101)).expect(413);
+    await upload(Buffer.from('<svg/>'), 'image/svg+xml').expect(415);
+    await upload(Buffer.from('<html>'), 'text/html').expect(415);
+    await upload(Buffer.from('pdf'), 'application/pdf').expect(415);
+  });
+
+  it('only serves files to the pad they were uploaded to', async function () {
+    const {body: {name}} = await upload(Buffer.from('a png')).expect(200);
+    const otherPadId = `${padId}_other`;
+    await padManager.getPad(otherPadId, '\n');
+    try {
+      await media(name, otherPadId).expect(404);
+    } finally {
+      await (await padManager.getPad(otherPadId)).remove();
+    }
+    await media('../../settings.json').expect(404);
+  });
+
+  it('serves files through the pad\'s read-only id', async function () {
+    const {body: {name}} = await upload(Buffer.from('a png')).expect(200);
+    const readOnlyId = await readOnlyManager.getReadOnlyId(padId);
+    const res = await media(name, readOnlyId).expect(200).expect('Content-Type', 'image/png');
+    assert.equal(res.body.toString(), 'a png');
+    await media(name, 'r.0000000000000000000000000000000').expect(404);
+  });
+
+  it('does not accept uploads through read-only links', async function () {
+    const readOnlyId = await readOnlyManager.getReadOnlyId(padId);
+    await upload(Buffer.from('a png'), 'image/png', readOnlyId).expect(404);
+  });
+
+  it('does not accept uploads to pads that do not exist', async function () {
+    await upload(Buffer.from('a png'), 'image/png', `${padId}_missing`).expect(404);
+  });
+
+  it('deletes the files of removed pads', async function () {
+    const {body: {name}} = await upload(Buffer.from('a png')).expect(200);
+    await (await padManager.getPad(padId)).remove();
+    await media(name).expect(404);
+    assert.deepEqual(await fs.promises.readdir(directory), []);
+  });
+
+  it('is off by default', async function () {
+    settings.ep_embedmedia = backup;
+    await upload(Buffer.from('a png')).expect(404);
+  });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const assert = require('assert').strict;
+const AttributeMap = require('ep_etherpad-lite/static/js/AttributeMap');
+const AttributePool = require('ep_etherpad-lite/static/js/AttributePool');
+const Changeset = require('ep_etherpad-lite/static/js/Changeset');
+const common = require('ep_etherpad-lite/tests/backend/common');
+const padManager = require('ep_etherpad-lite/node/db/PadManager');
+const {randomString} = require('ep_etherpad-lite/static/js/pad_utils');
+const attribute = require('../../../js/attribute');
+
+describe(__filename, function () {
+  let agent;
+  let padId;
+  let socket;
+  let rev;
+
+  const getEmbeds = (pad) => {
+    const embeds = [];
+    for (const op of Changeset.deserializeOps(pad.atext.attribs)) {
+      const value = AttributeMap.fromString(op.attribs, pad.pool).get('embedMedia');
+      if (value) embeds.push(value);
+    }
+    return embeds;
+  };
+
+  const sendEmbed = async (value, key = 'embedMedia') => {
+    const apool = new AttributePool();
+    apool.putAttrib([key, value]);
+    await common.sendUserChanges(socket, {baseRev: rev, changeset: 'Z:1>1*0+1$E', apool});
+  };
+
+  before(async function () {
+    agent = await common.init();
+  });
+
+  beforeEach(async function () {
+    padId = `ep_embedmedia_validate_${randomString(10)}`;
+    await padManager.getPad(padId, '\n');
+    const res = await agent.get(`/p/${padId}`).expect(200);
+    socket = await common.connect(res);
+    const {type, data: clientVars} = await common.handshake(socket, padId);
+    assert.equal(type, 'CLIENT_VARS');
+    rev = clientVars.collab_client_vars.rev;
+  });
+
+  afterEach(async function () {
+    if (socket != null) socket.close();
+    socket = null;
+    await (await padManager.getPad(padId)).remove();
+  });
+
+  it('accepts valid embeds', async function () {
+    const value = attribute.stringify({provider: 'vimeo', id: '1', url: 'https://vimeo.com/1'});
+    await Promise.all([common.waitForAcceptCommit(socket, rev + 1), sendEmbed(value)]);
+    assert.deepEqual(getEmbeds(await padManager.getPad(padId)), [value]);
+  });
+
+  // Rewriting them here would leave the sender's attribute pool out of step with the pad's.
+  const accepted = [
+    attribute.stringify({html: '<iframe src="https://example.com/"></iframe><script>x</script>'}),
+    escape('https://vimeo.com/1'),
+  ];
+  for (const value of accepted) {
+    it(`keeps ${value} as it was sent`, async function () {
+      await Promise.all([common.waitForAcceptCommit(socket, rev + 1), sendEmbed(value)]);
+      assert.deepEqual(getEmbeds(await padManager.getPad(padId)), [value]);
+    });
+  }
+
+  for (const value of ['<script>alert(1)</script>', 'v1;u=ftp%3A%2F%2Fexample.com%2F']) {
+    it(`rejects ${value}`, async function () {
+      const disconnected = common.waitForSocketEvent(socket, 'message');
+      await sendEmbed(value);
+      assert.deepEqual(await disconnected, {disconnect: 'badChangeset'});
+      assert.deepEqual(getEmbeds(await padManager.getPad(padId)), []);
+    });
+  }
+
+  it('rejects invalid timestamps', async function () {
+    const disconnected = common.waitForSocketEvent(socket, 'message');
+    await sendEmbed('v1;u=https%3A%2F%2Fvimeo.com%2F1;t=-5', 'embedMediaTime');
+    assert.deepEqual(await disconnected, {disconnect: 'badChangeset'});
+  });
+});
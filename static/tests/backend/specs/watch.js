@@ -0,0 +1,84 @@
+'use strict';
+
+const assert = require('assert').strict;
+const attribute = require('../../../js/attribute');
+const common = require('ep_etherpad-lite/tests/backend/common');
+const padManager = require('ep_etherpad-lite/node/db/PadManager');
+const {randomString} = require('ep_etherpad-lite/static/js/pad_utils');
+const shared = require('../../../js/shared');
+
+describe(__filename, function () {
+  // The key of the first player of an embed, as players.js gives it.
+  const key =
+      shared.slotKey(attribute.stringify(shared.recordFromCode('https://vimeo.com/76979871')), 0);
+  let agent;
+  let padId;
+  let presenter;
+  let follower;
+
+  const sendEvent = async (event) => {
+    await common.sendMessage(presenter, {
+      type: 'COLLABROOM',
+      component: 'pad',
+      data: {type: 'ep_embedmedia_watch', ...event},
+    });
+  };
+
+  // Other messages, e.g. about users joining the pad, may arrive first.
+  const waitForCustomMessage = (socket) => new Promise((resolve) => {
+    const handler = (message) => {
+      if (message.type !== 'COLLABROOM' || message.data.type !== 'CUSTOM') return;
+      socket.off('message', handler);
+      resolve(message);
+    };
+    socket.on('message', handler);
+  });
+
+  const connect = async () => {
+    const res = await agent.get(`/p/${padId}`).expect(200);
+    const socket = await common.connect(res);
+    const {type} = await common.handshake(socket, padId);
+    assert.equal(type, 'CLIENT_VARS');
+    return socket;
+  };
+
+  before(async function () {
+    agent = await common.init();
+  });
+
+  beforeEach(async function () {
+    padId = `ep_embedmedia_watch_${randomString(10)}`;
+    await padManager.getPad(padId, '\n');
+    presenter = await connect();
+    follower = await connect();
+  });
+
+  afterEach(async function () {
+    for (const socket of [presenter, follower]) if (socket != null) socket.close();
+    presenter = follower = null;
+    if (await padManager.doesPadExist(padId)) await (await padManager.getPad(padId)).remove();
+  });
+
+  it('passes on what the presenter does to the pad', async function () {
+    const message = waitForCustomMessage(follower);
+    await sendEvent({key, playing: true, time: 12.5});
+    assert.deepEqual(await message, {
+      type: 'COLLABROOM',
+      data: {
+        type: 'CUSTOM',
+        payload: {padId, ep_embedmedia: {watch: {key, playing: true, time: 12.5}}},
+      },
+    });
+  });
+
+  it('ignores invalid events', async function () {
+    const message = waitForCustomMessage(follower);
+    await sendEvent({key: '', playing: true, time: 1});
+    await sendEvent({key: shared.slotKey('x'.repeat(shared.maxSlotKeyLength), 0), playing: true,
+      time: 1});
+    await sendEvent({key, playing: 'yes', time: 1});
+    await sendEvent({key, playing: false, time: -1});
+    await sendEvent({key, playing: false, time: 2});
+    assert.equal((await message).data.payload.ep_embedmedia.watch.time, 2);
+  });
+});
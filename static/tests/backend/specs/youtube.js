@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('assert').strict;
+const providers = require('../../../js/providers');
+const youtube = require('../../../js/youtube');
+
+describe(__filename, function () {
+  describe('parse()', function () {
+    const video = {id: 'dQw4w9WgXcQ', list: null, start: null, shorts: false, nocookie: false};
+    const cases = [
+      {url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', want: video},
+      {url: 'http://youtube.com/watch?v=dQw4w9WgXcQ&feature=share', want: video},
+      {url: 'https://m.youtube.com/watch?v=dQw4w9WgXcQ', want: video},
+      {url: 'https://music.youtube.com/watch?v=dQw4w9WgXcQ', want: video},
+      {url: 'https://www.youtube.com/watch?feature=youtu.be&v=dQw4w9WgXcQ', want: video},
+      {url: 'https://youtu.be/dQw4w9WgXcQ', want: video},
+      {url: 'https://youtu.be/dQw4w9WgXcQ?si=abcdef', want: video},
+      {url: 'https://www.youtube.com/embed/dQw4w9WgXcQ', want: video},
+      {url: 'https://www.youtube.com/v/dQw4w9WgXcQ', want: video},
+      {url: 'https://www.youtube.com/live/dQw4w9WgXcQ?feature=share', want: video},
+      {url: 'https://www.youtube.com/shorts/dQw4w9WgXcQ', want: {...video, shorts: true}},
+      {url: 'https://youtube.com/shorts/dQw4w9WgXcQ?si=x', want: {...video, shorts: true}},
+      {url: 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ', want: {...video, nocookie: true}},
+      {url: 'https://youtu.be/dQw4w9WgXcQ?t=90', want: {...video, start: 90}},
+      {url: 'https://youtu.be/dQw4w9WgXcQ?t=90s', want: {...video, start: 90}},
+      {url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1m30s', want: {...video, start: 90}},
+      {url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1h2m3s', want: {...video, start: 3723}},
+      {url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ#t=1m30s', want: {...video, start: 90}},
+      {url: 'https://www.youtube.com/embed/dQw4w9WgXcQ?start=42', want: {...video, start: 42}},
+      {
+        url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI&index=2',
+        want: {...video, list: 'PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI'},
+      },
+      {
+        url: 'https://www.youtube.com/playlist?list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI',
+        want: {...video, id: null, list: 'PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI'},
+      },
+      {url: 'https://www.youtube.com/@somechannel', want: null},
+      {url: 'https://www.youtube.com/watch?v=tooshort', want: null},
+      {url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ"onload="x', want: null},
+      {url: 'https://www.youtube.com.evil.example/watch?v=dQw4w9WgXcQ', want: null},
+      {url: 'ftp://www.youtube.com/watch?v=dQw4w9WgXcQ', want: null},
+      {url: 'not a url', want: null},
+    ];
+
+    for (const {url, want} of cases) {
+      it(url, async function () {
+        assert.deepEqual(youtube.parse(url), want);
+      });
+    }
+  });
+
+  describe('parseTime()', function () {
+    const cases = {
+      '90': 90,
+      '90s': 90,
+      '1m30s': 90,
+      '1h': 3600,
+      '1:30': 90,
+      '1:02:03': 3723,
+      'x': null,
+      '': null,
+    };
+    for (const [value, want] of Object.entries(cases)) {
+      it(JSON.stringify(value), async function () {
+        assert.equal(youtube.parseTime(value), want);
+      });
+    }
+  });
+
+  describe('embedding', function () {
+    const src = (url) => providers.find(url).src;
+
+    it('keeps the start time', async function () {
+      assert.equal(src('https://youtu.be/dQw4w9WgXcQ?t=1m30s'),
+          'https://www.youtube.com/embed/dQw4w9WgXcQ?start=90');
+    });
+
+    it('keeps the playlist', async function () {
+      assert.equal(src('https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PL123'),
+          'https://www.youtube.com/embed/dQw4w9WgXcQ?list=PL123');
+      assert.equal(src('https://www.youtube.com/playlist?list=PL123'),
+          'https://www.youtube.com/embed/videoseries?list=PL123');
+    });
+
+    it('keeps privacy-enhanced mode', async function () {
+      assert.equal(src('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ?start=5'),
+          'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ?start=5');
+    });
+
+    it('embeds shorts in portrait', async function () {
+      const media = providers.find('https://www.youtube.com/shorts/dQw4w9WgXcQ');
+      assert(media.height > media.width);
+    });
+  });
+});
@@ -1,6 +1,9 @@
-import {expect, test} from '@playwright/test';
+import {expect, Page, test} from '@playwright/test';
 import {getPadBody, goToNewPad} from 'ep_etherpad-lite/tests/frontend-new/helper/padHelper';
 
+// Players are shown on top of the pad's lines rather than in them, see static/js/players.js.
+const getPlayers = (page: Page) => page.frame('ace_inner')!.locator('.embedMediaPlayers');
+
 test.beforeEach(async ({page}) => {
   await goToNewPad(page);
 });
@@ -18,7 +21,260 @@ test.describe('ep_embedmedia', () => {
 
     const padBody = await getPadBody(page);
     await expect(padBody.locator('.media').first()).toBeVisible({timeout: 15_000});
-    await expect(padBody.locator('iframe').first()).toHaveCount(1);
+    await expect(getPlayers(page).locator('iframe').first()).toHaveCount(1);
     await expect(padBody.locator('img')).toHaveCount(0);
   });
+
+  test('previews what can be embedded and explains what cannot', async ({page}) => {
+    await page.locator('.buttonicon-embed-media').click();
+    await page.locator('#embedMediaSrc').fill('not a link');
+    await expect(page.locator('#embedMediaError')).not.toBeEmpty();
+    await expect(page.locator('#doEmbedMedia')).toBeDisabled();
+
+    await page.locator('#embedMediaSrc').fill('https://vimeo.com/76979871');
+    await expect(page.locator('#embedMediaPreview iframe'))
+        .toHaveAttribute('src', /^https:\/\/player\.vimeo\.com\/video\/76979871/);
+    await expect(page.locator('#embedMediaProvider')).toContainText(/vimeo/i);
+    await expect(page.locator('#embedMediaError')).toBeEmpty();
+    await expect(page.locator('#doEmbedMedia')).toBeEnabled();
+  });
+
+  test('labels embeds with their title and shows their caption', async ({page}) => {
+    await page.locator('.buttonicon-embed-media').click();
+    await page.locator('#embedMediaSrc').fill('https://vimeo.com/76979871');
+    await page.locator('#embedMediaTitle').fill('Keynote');
+    await page.locator('#embedMediaCaption').fill('Recorded at the 2024 meetup');
+    await page.locator('#doEmbedMedia').click();
+
+    const padBody = await getPadBody(page);
+    const embed = padBody.locator('.embedMedia').first();
+    await expect(embed).toHaveAttribute('role', 'figure', {timeout: 15_000});
+    await expect(embed).toHaveAttribute('aria-label', 'Keynote');
+    await expect(embed.locator('.caption'))
+        .toHaveAttribute('data-caption', 'Recorded at the 2024 meetup');
+    await expect(embed.locator('.character')).toHaveAttribute('aria-hidden', 'true');
+    await expect(getPlayers(page).locator('iframe')).toHaveAttribute('title', 'Keynote');
+  });
+
+  test('sizes and aligns embeds', async ({page}) => {
+    await page.locator('.buttonicon-embed-media').click();
+    await page.locator('#embedMediaSrc').fill('https://vimeo.com/76979871');
+    await page.locator('#embedMediaSize').selectOption('small');
+    await page.locator('#embedMediaAlign').selectOption('center');
+    await page.locator('#doEmbedMedia').click();
+
+    const padBody = await getPadBody(page);
+    await expect(padBody.locator('.embedMedia').first())
+        .toHaveAttribute('style', /width:320px;.*margin-left:auto;margin-right:auto/);
+    await expect(padBody.locator('.embedMedia .media.fit')).toHaveCount(1);
+  });
+
+  test('plays links to video files natively', async ({page}) => {
+    await page.locator('.buttonicon-embed-media').click();
+    await page.locator('#embedMediaSrc').fill('https://media.example/talk.mp4');
+    await expect(page.locator('#embedMediaFileOptions')).toBeVisible();
+    await page.locator('#embedMediaCaptions').fill('https://media.example/talk.vtt');
+    await page.locator('#embedMediaCaptionsLang').fill('en');
+    await page.locator('#doEmbedMedia').click();
+
+    const player = getPlayers(page).locator('video');
+    await expect(player).toHaveCount(1, {timeout: 15_000});
+    await expect(player).toHaveAttribute('src', 'https://media.example/talk.mp4');
+    await expect(player.locator('track')).toHaveAttribute('srclang', 'en');
+  });
+
+  test('shows images with their alternative text and zooms them', async ({page}) => {
+    await page.locator('.buttonicon-embed-media').click();
+    await page.locator('#embedMediaSrc').fill('data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAA' +
+        'EAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==');
+    await expect(page.locator('#embedMediaError')).not.toBeEmpty();
+    await expect(page.locator('#doEmbedMedia')).toBeDisabled();
+    await page.locator('#embedMediaAlt').fill('A single pixel');
+    await page.locator('#doEmbedMedia').click();
+
+    const padBody = await getPadBody(page);
+    const image = padBody.locator('.embedMedia img.image');
+    await expect(image).toHaveAttribute('alt', 'A single pixel', {timeout: 15_000});
+    await image.click();
+    await expect(page.locator('#embedMediaLightbox img')).toHaveAttribute('alt', 'A single pixel');
+    await page.keyboard.press('Escape');
+    await expect(page.locator('#embedMediaLightbox')).toBeHidden();
+  });
+
+  test('opens PDF documents at the chosen page and turns their pages', async ({page}) => {
+    await page.locator('.buttonicon-embed-media').click();
+    await page.locator('#embedMediaSrc').fill('https://docs.example/report.pdf');
+    await page.locator('#embedMediaPage').fill('3');
+    await page.locator('#doEmbedMedia').click();
+
+    const player = getPlayers(page).locator('.embedMediaPlayer');
+    await expect(player.locator('object'))
+        .toHaveAttribute('data', 'https://docs.example/report.pdf#page=3', {timeout: 15_000});
+    await player.hover();
+    await player.locator('.pages .next').click();
+    await expect(player.locator('object'))
+        .toHaveAttribute('data', 'https://docs.example/report.pdf#page=4');
+    await expect(player.locator('.pages .page')).toHaveValue('4');
+  });
+
+  test('shows click-to-load cards when the pad asks for them', async ({page}) => {
+    await page.locator('.buttonicon-settings').click();
+    await page.locator('#options-embedmedia-facade').check();
+    await page.locator('.buttonicon-settings').click();
+    await page.locator('.buttonicon-embed-media').click();
+    await page.locator('#embedMediaSrc').fill('https://vimeo.com/76979871');
+    await page.locator('#doEmbedMedia').click();
+
+    const padBody = await getPadBody(page);
+    await expect(padBody.locator('.embedMedia .facade')).toHaveCount(1, {timeout: 15_000});
+    await expect(getPlayers(page).locator('iframe')).toHaveCount(0);
+    await padBody.locator('.embedMedia .facade').click();
+    await expect(getPlayers(page).locator('iframe')).toHaveCount(1);
+  });
+
+  test('embeds links typed on their own line when the pad asks for it', async ({page}) => {
+    await page.locator('.buttonicon-settings').click();
+    await page.locator('#options-embedmedia-autoembed').check();
+    await page.locator('.buttonicon-settings').click();
+
+    const padBody = await getPadBody(page);
+    await padBody.click();
+    await page.keyboard.type('https://vimeo.com/76979871');
+    await page.keyboard.press('Enter');
+    await expect(padBody.locator('.embedMedia')).toHaveCount(1, {timeout: 15_000});
+    await expect(getPlayers(page).locator('iframe')).toHaveCount(1);
+
+    await page.keyboard.press('Control+Z');
+    await expect(padBody.locator('.embedMedia')).toHaveCount(0);
+    await expect(padBody.locator('div').first()).toHaveText('https://vimeo.com/76979871');
+  });
+
+  test('edits the embed at the selection in place', async ({page}) => {
+    const youtube = '<iframe src="https://www.youtube.com/embed/AqTMAkNc6nA"></iframe>';
+    const vimeo = '<iframe src="https://player.vimeo.com/video/76979871"></iframe>';
+    await page.locator('.buttonicon-embed-media').click();
+    await page.locator('#embedMediaSrc').fill(youtube);
+    await page.locator('#doEmbedMedia').click();
+
+    await expect(getPlayers(page).locator('iframe')).toHaveCount(1, {timeout: 15_000});
+
+    // The inserted embed stays selected, so the modal opens prefilled.
+    await page.locator('.buttonicon-embed-media').click();
+    await expect(page.locator('#embedMediaSrc')).toHaveValue(youtube);
+    await page.locator('#embedMediaSrc').fill(vimeo);
+    await page.locator('#doEmbedMedia').click();
+
+    await expect(getPlayers(page).locator('iframe')).toHaveCount(1);
+    await expect(getPlayers(page).locator('iframe'))
+        .toHaveAttribute('src', 'https://player.vimeo.com/video/76979871');
+  });
+
+  test('keeps the layout of an embed when its link is changed', async ({page}) => {
+    await page.locator('.buttonicon-embed-media').click();
+    await page.locator('#embedMediaSrc').fill('https://vimeo.com/76979871');
+    await page.locator('#embedMediaAlign').selectOption('center');
+    await page.locator('#embedMediaCaption').fill('Keynote');
+    await page.locator('#doEmbedMedia').click();
+
+    const padBody = await getPadBody(page);
+    const embed = padBody.locator('.embedMedia').first();
+    await expect(getPlayers(page).locator('iframe')).toHaveCount(1, {timeout: 15_000});
+    await embed.hover();
+    const handle = (await embed.locator('.resize').boundingBox())!;
+    await page.mouse.move(handle.x + handle.width / 2, handle.y + handle.height / 2);
+    await page.mouse.down();
+    await page.mouse.move(handle.x - 200, handle.y, {steps: 5});
+    await page.mouse.up();
+    await expect(embed).toHaveAttribute('style', /width:\d+px/);
+    const style = await embed.getAttribute('style');
+
+    await page.locator('.buttonicon-embed-media').click();
+    await page.locator('#embedMediaSrc').fill('https://vimeo.com/1');
+    await page.locator('#doEmbedMedia').click();
+
+    await expect(getPlayers(page).locator('iframe'))
+        .toHaveAttribute('src', /^https:\/\/player\.vimeo\.com\/video\/1\b/);
+    await expect(embed).toHaveAttribute('style', style!);
+    await expect(embed.locator('.caption')).toHaveAttribute('data-caption', 'Keynote');
+  });
+
+  test('doesn\'t overwrite an embed removed while it was being edited', async ({page}) => {
+    await page.locator('.buttonicon-embed-media').click();
+    await page.locator('#embedMediaSrc').fill('https://vimeo.com/76979871');
+    await page.locator('#doEmbedMedia').click();
+    await expect(getPlayers(page).locator('iframe')).toHaveCount(1, {timeout: 15_000});
+
+    await page.locator('.buttonicon-embed-media').click();
+    await page.evaluate(() => (window as any).padeditor.ace.callWithAce((ace: any) => {
+      ace.ace_replaceRange([0, 0], [0, 1], 'x');
+    }, 'test'));
+    await page.locator('#embedMediaSrc').fill('https://vimeo.com/1');
+    await page.locator('#doEmbedMedia').click();
+
+    await expect(page.locator('#embedMediaError')).not.toBeEmpty();
+    const padBody = await getPadBody(page);
+    await expect(padBody.locator('.embedMedia')).toHaveCount(0);
+  });
+
+  test('keeps the player loaded while its line is edited', async ({page}) => {
+    await page.locator('.buttonicon-embed-media').click();
+    await page.locator('#embedMediaSrc').fill('https://vimeo.com/76979871');
+    await page.locator('#doEmbedMedia').click();
+
+    const player = getPlayers(page).locator('iframe');
+    await expect(player).toHaveCount(1, {timeout: 15_000});
+    await player.evaluate((iframe) => { iframe.dataset.loadedBefore = 'true'; });
+    await page.keyboard.type('some text after the video');
+
+    const padBody = await getPadBody(page);
+    await expect(padBody.locator('div').first()).toContainText('some text after the video');
+    await expect(player).toHaveAttribute('data-loaded-before', 'true');
+  });
+
+  test('links times written under a video to that moment of it', async ({page}) => {
+    await page.locator('.buttonicon-embed-media').click();
+    await page.locator('#embedMediaSrc').fill('https://vimeo.com/76979871');
+    await page.locator('#doEmbedMedia').click();
+    await expect(getPlayers(page).locator('iframe')).toHaveCount(1, {timeout: 15_000});
+
+    await page.keyboard.press('End');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('see 1:30');
+    await page.keyboard.press('Shift+ArrowLeft');
+    await page.keyboard.press('Shift+ArrowLeft');
+    await page.keyboard.press('Shift+ArrowLeft');
+    await page.keyboard.press('Shift+ArrowLeft');
+    await page.locator('.buttonicon-embed-media-timestamp').click();
+
+    const padBody = await getPadBody(page);
+    const timestamp = padBody.locator('.embedMediaTime');
+    await expect(timestamp).toHaveText('1:30');
+    await timestamp.click();
+    await expect(getPlayers(page).locator('iframe'))
+        .toHaveAttribute('src', /^https:\/\/player\.vimeo\.com\/video\/76979871\?.*#t=90s$/);
+  });
+
+  test('lists the embeds of the pad and turns them into links', async ({page}) => {
+    for (const url of ['https://vimeo.com/76979871', 'https://media.example/talk.mp4']) {
+      await page.locator('.buttonicon-embed-media').click();
+      await page.locator('#embedMediaSrc').fill(url);
+      await page.locator('#doEmbedMedia').click();
+      await page.keyboard.press('End');
+      await page.keyboard.press('Enter');
+    }
+    const padBody = await getPadBody(page);
+    await expect(padBody.locator('.embedMedia')).toHaveCount(2, {timeout: 15_000});
+
+    await page.locator('.buttonicon-embed-media-inventory').click();
+    const rows = page.locator('#embedMediaInventoryList tbody tr');
+    await expect(rows).toHaveCount(2);
+    await expect(rows.first()).toContainText('vimeo');
+    await expect(rows.first().locator('.status')).toHaveClass(/\bok\b/);
+
+    await rows.first().locator('input').check();
+    await page.locator('#embedMediaInventoryUnembed').click();
+    await expect(padBody.locator('.embedMedia')).toHaveCount(1);
+    await expect(padBody.locator('div').first()).toHaveText('https://vimeo.com/76979871');
+    await expect(rows).toHaveCount(1);
+  });
 });
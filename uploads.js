@@ -0,0 +1,207 @@
+'use strict';
+
+// Files uploaded from the modal, stored by the Etherpad server and embedded like any other link.
+// Files belong to the pad they were uploaded to: they are served under the pad's read-only address
+// (see the routes in hooks.js) to whoever may read the pad, only the pad's writers may upload, and
+// they are deleted with the pad. The links stored in the pad so don't give away the address its
+// writers use.
+//
+// Where files go is up to a storage backend, chosen with ep_embedmedia.uploads.storage in
+// settings.json. The "filesystem" backend is built in; other plugins can add their own with
+// registerStorage().
+
+const crypto = require('crypto');
+const fs = require('fs');
+const {httpError} = require('./errors');
+const path = require('path');
+const padManager = require('ep_etherpad-lite/node/db/PadManager');
+const readOnlyManager = require('ep_etherpad-lite/node/db/ReadOnlyManager');
+const securityManager = require('ep_etherpad-lite/node/db/SecurityManager');
+const settings = require('ep_etherpad-lite/node/utils/Settings');
+const stream = require('stream');
+
+// Types that can be uploaded, with the extension they are stored with, which is also what tells
+// the pad how to embed them (see shared.recordFromCode()). Types browsers could run scripts from,
+// such as HTML and SVG, are left out: uploads are served from the pad's origin.
+const extensions = {
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/ogg': 'ogv',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/flac': 'flac',
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'application/pdf': 'pdf',
+};
+
+const typesByExtension = new Map(Object.entries(extensions).map(([type, ext]) => [ext, type]));
+
+const defaults = {
+  enabled: false,
+  storage: 'filesystem',
+  directory: null, // var/ep_embedmedia in Etherpad's directory if not set
+  maxBytes: 100 * 1024 * 1024,
+  types: Object.keys(extensions),
+};
+
+const getConfig = () => ({...defaults, ...((settings.ep_embedmedia || {}).uploads || {})});
+
+// File names are generated, and so never need escaping.
+const isFileName = (name) => /^[a-f0-9]{32}\.[a-z0-9]+$/.test(name);
+
+// Storage backends by name. A backend is an object with these methods, all async:
+//
+//   save(padId, name, body): Stores a file, body being an async iterable of Buffers.
+//   size(padId, name): Returns the size of a file in bytes, or null if there is no such file.
+//   read(padId, name, {start, end}): Returns a readable stream of the bytes from start to end
+//       (inclusive) of a file.
+//   removePad(padId): Deletes the files of a pad.
+const storages = new Map();
+
+exports.registerStorage = (name, storage) => {
+  storages.set(name, storage);
+};
+
+const filesystemStorage = {
+  directory: () => getConfig().directory || path.join(settings.root, 'var', 'ep_embedmedia'),
+  padDirectory: (padId) => {
+    // Pad ids may hold anything but slashes, "." and ".." included.
+    const dir = encodeURIComponent(padId).replace(/\./g, '%2E');
+    return path.join(filesystemStorage.directory(), dir);
+  },
+  save: async (padId, name, body) => {
+    const dir = filesystemStorage.padDirectory(padId);
+    await fs.promises.mkdir(dir, {recursive: true});
+    // Written under another name first, so that half written files are never served.
+    const file = path.join(dir, name);
+    const partial = `${file}.partial`;
+    try {
+      await fs.promises.writeFile(partial, body);
+      await fs.promises.rename(partial, file);
+    } catch (err) {
+      await fs.promises.rm(partial, {force: true});
+      throw err;
+    }
+  },
+  size: async (padId, name) => {
+    try {
+      return (await fs.promises.stat(path.join(filesystemStorage.padDirectory(padId), name))).size;
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  },
+  read: async (padId, name, {start, end}) => {
+    const file = path.join(filesystemStorage.padDirectory(padId), name);
+    return fs.createReadStream(file, {start, end});
+  },
+  removePad: async (padId) => {
+    await fs.promises.rm(filesystemStorage.padDirectory(padId), {recursive: true, force: true});
+  },
+};
+
+exports.registerStorage('filesystem', filesystemStorage);
+
+const getStorage = (config) => {
+  const storage = storages.get(config.storage);
+  if (storage == null) throw httpError(500, `unknown upload storage ${config.storage}`);
+  return storage;
+};
+
+// Returns what the client needs to know about uploads, or null if they are disabled.
+exports.clientSettings = () => {
+  const {enabled, maxBytes, types} = getConfig();
+  return enabled ? {maxBytes, types: types.filter((type) => type in extensions)} : null;
+};
+
+// Checks that a request may read (write = false) or upload to (write = true) a pad, the same way
+// Etherpad checks it for the pad itself, and returns the pad's id. Files are read through the pad's
+// read-only id, or its id in links stored before. Errors carry the HTTP status to answer with.
+const checkAccess = async (req, id, write) => {
+  if (!padManager.isValidPadId(id)) throw httpError(404, 'no such pad');
+  let padId = id;
+  if (readOnlyManager.isReadOnlyId(id)) {
+    padId = write ? null : await readOnlyManager.getPadId(id);
+    if (padId == null) throw httpError(404, 'no such pad');
+  }
+  const user = req.session && req.session.user;
+  const padAuthorizations = (user && user.padAuthorizations) || {};
+  if (write && user && (user.readOnly || padAuthorizations[padId] === 'readOnly')) {
+    throw httpError(403, 'uploading to this pad is not allowed');
+  }
+  const {sessionID, token} = req.cookies || {};
+  const {accessStatus} = await securityManager.checkAccess(padId, sessionID, token, user);
+  if (accessStatus !== 'grant') throw httpError(403, 'access to this pad is not allowed');
+  if (!await padManager.doesPadExist(padId)) throw httpError(404, 'no such pad');
+  return padId;
+};
+
+// Yields the chunks of a request body, failing once it is larger than maxBytes.
+const limitBody = async function* (req, maxBytes) {
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) throw httpError(413, 'the file is too large');
+    yield chunk;
+  }
+};
+
+// Stores the body of a request as a file of a pad. Returns {name} of the file, which is served at
+// media/<name> next to the upload address. Errors carry the HTTP status to answer with.
+exports.upload = async (req, padId) => {
+  const config = getConfig();
+  if (!config.enabled) throw httpError(404, 'uploads are disabled');
+  await checkAccess(req, padId, true);
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!config.types.includes(type) || !(type in extensions)) {
+    throw httpError(415, 'files of this type can\'t be uploaded');
+  }
+  if (Number(req.headers['content-length']) > config.maxBytes) {
+    throw httpError(413, 'the file is too large');
+  }
+  const name = `${crypto.randomBytes(16).toString('hex')}.${extensions[type]}`;
+  await getStorage(config).save(padId, name, limitBody(req, config.maxBytes));
+  return {name};
+};
+
+// Returns {start, end} of the single range of bytes a Range header asks for, null for the whole
+// file, or false if the range can't be satisfied. Players ask for ranges to seek.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (match == null || (match[1] === '' && match[2] === '')) return null;
+  const last = size - 1;
+  const range = match[1] === ''
+    ? {start: Math.max(0, size - Number(match[2])), end: last}
+    : {start: Number(match[1]), end: match[2] === '' ? last : Math.min(Number(match[2]), last)};
+  return range.start <= range.end ? range : false;
+};
+
+// Returns {type, size, range, body} of a file of a pad given by its read-only id or its id, range
+// being the {start, end} of the bytes in body, or null if it holds the whole file. Errors carry
+// the HTTP status to answer with.
+exports.load = async (req, id, name) => {
+  const config = getConfig();
+  if (!config.enabled) throw httpError(404, 'uploads are disabled');
+  if (!isFileName(name)) throw httpError(404, 'no such file');
+  const padId = await checkAccess(req, id, false);
+  const storage = getStorage(config);
+  const size = await storage.size(padId, name);
+  if (size == null) throw httpError(404, 'no such file');
+  const range = parseRange(req.headers.range, size);
+  if (range === false) throw Object.assign(httpError(416, 'range not satisfiable'), {size});
+  const {start, end} = range || {start: 0, end: size - 1};
+  const body = size > 0 ? await storage.read(padId, name, {start, end}) : stream.Readable.from([]);
+  return {type: typesByExtension.get(name.split('.').pop()), size, range, body};
+};
+
+exports.padRemove = async (hookName, {pad}) => {
+  const config = getConfig();
+  if (!storages.has(config.storage)) return;
+  await getStorage(config).removePad(pad.id);
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+// Every client renders the embedMedia values sent by any other client. The renderer sanitizes
+// them again, but the server makes sure that only values that parse into something embeddable
+// reach the pad: changes holding a value that can't be cleaned the way the content collector cleans
+// values (embed code is sanitized, old values are converted) are rejected the same way core rejects
+// malformed changesets. Values that can be cleaned are kept as they were sent: the sender keeps
+// them in its attribute pool, and undoing the removal of an old embed sends its old value again.
+// Timestamps (see static/js/timestamps.js) are checked the same way.
+
+const shared = require('./static/js/shared');
+const timestamps = require('./static/js/timestamps');
+
+const cleaners = new Map([
+  ['embedMedia', shared.cleanValue],
+  ['embedMediaTime', timestamps.cleanValue],
+]);
+
+exports.handleMessage = async (hookName, {message, socket}) => {
+  if (message.type !== 'COLLABROOM' || message.data == null) return;
+  if (message.data.type !== 'USER_CHANGES') return;
+  const {numToAttrib = {}} = message.data.apool || {};
+  for (const attrib of Object.values(numToAttrib)) {
+    // An empty value removes the attribute.
+    if (!Array.isArray(attrib) || !cleaners.has(attrib[0]) || attrib[1] === '') continue;
+    const value = typeof attrib[1] === 'string' ? cleaners.get(attrib[0])(attrib[1]) : null;
+    if (value == null) {
+      console.warn(`ep_embedmedia: rejecting changes with an invalid ${attrib[0]} value: ` +
+          `${JSON.stringify(attrib[1])}`);
+      socket.emit('message', {disconnect: 'badChangeset'});
+      return null;
+    }
+  }
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+// Watch together: whoever presents on a pad has their players followed by those who follow, see
+// static/js/watch.js. The server only passes on what presenters do, nothing is saved.
+
+const padMessageHandler = require('ep_etherpad-lite/node/handler/PadMessageHandler');
+const shared = require('./static/js/shared');
+
+const isValid = (event) => event != null && typeof event === 'object' &&
+    typeof event.key === 'string' && event.key !== '' &&
+    event.key.length <= shared.maxSlotKeyLength &&
+    typeof event.playing === 'boolean' &&
+    typeof event.time === 'number' && Number.isFinite(event.time) && event.time >= 0;
+
+// Presenters send {type: 'ep_embedmedia_watch', key, playing, time} as a COLLABROOM message
+// whenever they play, pause or seek a player. It is sent to the pad as a CUSTOM message, see
+// handleClientMessage_CUSTOM in static/js/hooks.js. Readers may present too: nothing in the pad
+// changes.
+exports.handleMessage = async (hookName, {message, sessionInfo}) => {
+  if (message.type !== 'COLLABROOM' || message.data == null) return;
+  if (message.data.type !== 'ep_embedmedia_watch') return;
+  const {padId} = sessionInfo || {};
+  if (padId == null) return null;
+  if (!isValid(message.data)) {
+    console.warn(`ep_embedmedia: ignoring invalid playback event for pad ${padId}`);
+    return null;
+  }
+  const {key, playing, time} = message.data;
+  padMessageHandler.handleCustomObjectMessage({
+    type: 'COLLABROOM',
+    data: {type: 'CUSTOM', payload: {padId, ep_embedmedia: {watch: {key, playing, time}}}},
+  });
+  return null;
+};